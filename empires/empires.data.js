@@ -0,0 +1,910 @@
+//##Summary
+//
+//Loading and cleaning up the data for an [empires chart](empires.html).
+//
+//The chart itself never refers to a column of the data file by name; instead it goes through a *field mapping*,
+//which says which column holds the name, start, peak and end years, size metrics and flags of each row. This way
+//the same chart can be used for any dataset of spans (dynasties, product lifecycles, reigns, ...), in any of
+//the formats D3 can load:
+//
+//>    `empires.chart("#reigns", {url: "reigns.tsv", fields: {name: "King", start: "Crowned", end: "Died"}});`
+
+//***
+
+//##Field Mapping
+
+empires.data = {};
+
+//The columns of `Empires_Data.csv`, which are used for any field not given in a mapping:
+//
+//* `name` - the label of the bar
+//* `start`, `peak`, `end` - years, with BCE years being negative
+//* `span` - the number of years between `start` and `end`
+//* `area` - the size of the row at its peak, used for the "area" height mode
+//* `population`, `populationYear`, `worldPopulation` - the size of the population in a given year, and the population of the world in that year
+//* `popPercent` - the fraction of the world population, used for the "population" height mode
+//* `contiguous` - a yes/no flag; rows where this is "No" are labeled in a different color
+//* `region` - the part of the world the row belongs to, which rows can be sorted by
+//* `points` - optional sizes between `start` and `end`, as `year:size` pairs separated by semicolons (e.g. "900:5.2;1000:7"), in the same
+//     units as `area`; these shape the row's growth curve (see `growth`)
+empires.data.fields = {
+	name : "Name",
+	start : "Start",
+	peak : "Peak",
+	end : "End",
+	span : "Span",
+	area : "Land_area_million_km2",
+	population : "Estimated_Population",
+	populationYear : "Population_Year",
+	worldPopulation : "World_Population",
+	popPercent : "Percent_World_Population",
+	contiguous : "Contiguous",
+	region : "Region",
+	points : "Points"
+};
+
+//Fill in any fields missing from `fields` with the defaults above
+empires.data.mapping = function(fields) {
+	return $.extend({}, empires.data.fields, fields);
+};
+
+//***
+
+//##Loading
+
+//The parser for each format; each one takes the text of a file and returns the array of raw rows (one object per row).
+//Other formats can be plugged in by adding to this object
+empires.data.parsers = {
+	//[d3.csv.parse](https://github.com/mbostock/d3/wiki/CSV#wiki-parse) does all the work for csv
+	csv : function(text) {
+		return d3.csv.parse(text);
+	},
+	//This version of D3 has no tsv parser; tab-separated files don't quote their values, so splitting on tabs is enough
+	tsv : function(text) {
+		var lines = text.split(/\r\n|\r|\n/).filter(function(line) {
+			return line.length > 0;
+		});
+		var header = lines.shift().split("\t");
+		return lines.map(function(line) {
+			var o = {}, values = line.split("\t");
+			header.forEach(function(column, j) {
+				o[column] = values[j];
+			});
+			return o;
+		});
+	},
+	//A json file can hold either an array of rows, or an object with the rows in its `data` property
+	json : function(text) {
+		var json = JSON.parse(text);
+		if ($.isArray(json))
+			return json;
+		if (json != null && $.isArray(json.data))
+			return json.data;
+		throw new Error("empires.data: json does not contain an array of rows");
+	}
+};
+
+//Turn the text of a file in the given format into coerced rows
+empires.data.parse = function(text, format) {
+	var parser = empires.data.parsers[format || "csv"];
+	if (!parser)
+		throw new Error("empires.data: unknown format \"" + format + "\"");
+	if (!/\S/.test(text))
+		throw new Error("empires.data: the file is empty");
+	return empires.data.coerce(parser(text));
+};
+
+//Load the rows from `source` and pass them, coerced, to `callback`. If the file can't be loaded or parsed, `callback` gets `null`
+//and the error instead (like with `read`).
+//
+//* `source` is either a url, or an array of rows that are already loaded
+//* `options.format` is one of the `parsers` above; if it is not given, it is guessed from the url's extension
+//
+//Internally, [d3.text](https://github.com/mbostock/d3/wiki/Requests#wiki-d3_text) uses an ajax call to load the raw data,
+//which browsers don't allow for urls on the local file system; files the user picks (or drops onto the chart) are read with `read` instead.
+empires.data.load = function(source, options, callback) {
+	options = options || {};
+
+	if ($.isArray(source)) {
+		callback(empires.data.coerce(source));
+		return;
+	}
+
+	var format = options.format || empires.data.format(source);
+	d3.text(source, function(text) {
+		var rows;
+		if (text == null) {
+			callback(null, new Error("empires.data: could not load " + source));
+			return;
+		}
+		try {
+			rows = empires.data.parse(text, format);
+		}
+		catch (e) {
+			callback(null, e);
+			return;
+		}
+		callback(rows);
+	});
+};
+
+//Guess the format of a url from its extension, defaulting to "csv"
+empires.data.format = function(url) {
+	var match = /\.(csv|tsv|json)(\?|#|$)/i.exec(url);
+	return match ? match[1].toLowerCase() : "csv";
+};
+
+//Read a local `file` (a [File](http://www.w3.org/TR/FileAPI/#dfn-file), from a file input or a drop) with a
+//[FileReader](http://www.w3.org/TR/FileAPI/#dfn-filereader), and pass its rows, parsed and coerced just like a loaded file's
+//(the format is guessed from the file's name), to `callback`. If the file can't be read or parsed, `callback` gets `null`
+//and the error instead
+empires.data.read = function(file, callback) {
+	var reader = new FileReader();
+	reader.onload = function() {
+		var rows;
+		try {
+			rows = empires.data.parse(reader.result, empires.data.format(file.name));
+		}
+		catch (e) {
+			callback(null, e);
+			return;
+		}
+		callback(rows);
+	};
+	reader.onerror = function() {
+		callback(null, reader.error || new Error("empires.data: could not read " + file.name));
+	};
+	reader.readAsText(file);
+};
+
+//All of the columns in `rows`, in the order they first come up
+empires.data.columns = function(rows) {
+	var columns = [];
+	rows.forEach(function(d) {
+		d3.keys(d).forEach(function(column) {
+			if (columns.indexOf(column) < 0)
+				columns.push(column);
+		});
+	});
+	return columns;
+};
+
+//***
+
+//##Matching Columns
+
+//The fields a file can do without, and still match a mapping (see `unmatched`): all but the `required` ones, as a row can be drawn
+//without them (the `span` is derived anyway, and the others are just missing in every row, as they can be in any one row)
+empires.data.optional = ["span", "area", "population", "populationYear", "worldPopulation", "popPercent", "contiguous", "region", "points"];
+
+//The fields of the mapping `fields` (besides the `optional` ones) whose column isn't one of `columns`
+empires.data.unmatched = function(columns, fields) {
+	fields = empires.data.mapping(fields);
+	return d3.keys(fields).filter(function(field) {
+		return empires.data.optional.indexOf(field) < 0 && columns.indexOf(fields[field]) < 0;
+	});
+};
+
+//A guess at the mapping for a file with `columns`: each field of `fields` goes to its own column if the file has it, or else to a column
+//named like it or like the field, ignoring case, spaces and punctuation (e.g. "AREA" or "land area million km2" for `area`, but not "Size");
+//the fields with no such column are left out
+empires.data.guess = function(columns, fields) {
+	fields = empires.data.mapping(fields);
+	function simple(name) {
+		return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+	}
+
+	var guess = {};
+	d3.keys(fields).forEach(function(field) {
+		var column = columns.indexOf(fields[field]) >= 0 ? fields[field] : columns.filter(function(column) {
+			return simple(column) == simple(fields[field]) || simple(column) == simple(field);
+		})[0];
+		if (column != null)
+			guess[field] = column;
+	});
+	return guess;
+};
+
+//***
+
+//##Coercion
+
+//Each row (whatever format it came from) results in an element in the returned array; the values are cleaned up like this:
+//
+//* anything that looks like a number is turned into a number
+//* "Yes" and "No" are turned into `true` and `false`
+//* everything else is left as a string
+//
+//Values that are already numbers or booleans (as they can be when coming from json) are left alone; note that
+//empty strings become `NaN`, which is what the chart checks for to find missing values.
+empires.data.coerce = function(rows) {
+	var i, d, prop;
+
+	for ( i = 0; i < rows.length; i++) {
+		d = rows[i];
+		for (prop in d) {
+			if (typeof d[prop] != "string")
+				continue;
+			if (!isNaN(d[prop])) {
+				d[prop] = parseFloat(d[prop]);
+			} else if (d[prop] == "Yes") {
+				d[prop] = true;
+			} else if (d[prop] == "No") {
+				d[prop] = false;
+			}
+		}
+	}
+
+	return rows;
+};
+
+//***
+
+//##Validation
+
+//The fields every row must have a value for; a row without one of these can't be drawn as a bar
+empires.data.required = ["name", "start", "peak", "end"];
+
+//The fields that must be numbers (when they have a value at all)
+empires.data.numeric = ["start", "peak", "end", "span", "area", "population", "populationYear", "worldPopulation", "popPercent"];
+
+//Check every row of `rows` (as they come out of `coerce`, using the field mapping `fields`) and return a report of
+//whatever is wrong with them.
+//
+//Problems are either *errors*, meaning the row can't be drawn correctly (missing required fields,
+//Start > Peak > End, negative areas, population percentages outside of [0, 1]), or *warnings*, meaning the row can
+//be drawn but something about it looks off (columns missing from the row, a Span that doesn't match End - Start,
+//numeric columns holding something like Excel's `#DIV/0!`). The rows themselves are left as they are (see `clean`
+//for copies of them that can be drawn).
+//
+//The report looks like this:
+//
+//* `report.rows` - the number of rows checked
+//* `report.issues` - every problem found, in row order; each one is an object with
+//     `level` ("error" or "warning"), `row` (the index of the row in `rows`), `name`, `field` (if the problem is with one field) and `message`
+//* `report.errors`, `report.warnings` - the issues of each level
+//* `report.invalid` - the indexes of the rows with at least one error
+empires.data.validate = function(rows, fields) {
+	fields = empires.data.mapping(fields);
+
+	var report = {
+		rows : rows.length,
+		issues : [],
+		errors : [],
+		warnings : [],
+		invalid : []
+	};
+
+	rows.forEach(function(d, i) {
+		var issues = [];
+		var name = d[fields.name];
+
+		function issue(level, field, message) {
+			issues.push({
+				level : level,
+				row : i,
+				name : empires.data.isMissing(name) ? "(row " + (i + 1) + ")" : String(name),
+				field : field,
+				message : message
+			});
+		}
+
+		//Columns that are missing from the row entirely (rather than just empty), like the short rows at the bottom of `Empires_Data.csv`
+		var missing = d3.keys(d).filter(function(column) {
+			return d[column] === undefined;
+		});
+		if (missing.length)
+			issue("warning", null, "missing columns: " + missing.join(", "));
+
+		//Required fields
+		empires.data.required.forEach(function(field) {
+			if (empires.data.isMissing(d[fields[field]]))
+				issue("error", field, "no value for " + fields[field]);
+		});
+
+		//Numeric fields holding something that isn't a number
+		empires.data.numeric.forEach(function(field) {
+			var value = d[fields[field]];
+			if (empires.data.isMissing(value) || typeof value == "number")
+				return;
+			issue(empires.data.required.indexOf(field) >= 0 ? "error" : "warning", field, fields[field] + " is not a number: \"" + value + "\"");
+		});
+
+		//(the rest of the checks only look at the numbers; any other value is `NaN` to them)
+		function number(field) {
+			var value = d[fields[field]];
+			return typeof value == "number" ? value : NaN;
+		}
+		var start = number("start"), peak = number("peak"), end = number("end"), span = number("span");
+		var area = number("area"), popPercent = number("popPercent");
+
+		//Start <= Peak <= End
+		if (start > end)
+			issue("error", "end", fields.start + " (" + start + ") is after " + fields.end + " (" + end + ")");
+		else {
+			if (peak < start)
+				issue("error", "peak", fields.peak + " (" + peak + ") is before " + fields.start + " (" + start + ")");
+			if (peak > end)
+				issue("error", "peak", fields.peak + " (" + peak + ") is after " + fields.end + " (" + end + ")");
+		}
+
+		//Span == End - Start
+		if (!isNaN(span) && !isNaN(start) && !isNaN(end) && span != end - start)
+			issue("warning", "span", fields.span + " (" + span + ") is not " + fields.end + " - " + fields.start + " (" + (end - start) + ")");
+
+		if (area < 0)
+			issue("error", "area", fields.area + " is negative (" + area + ")");
+
+		if (popPercent < 0 || popPercent > 1)
+			issue("error", "popPercent", fields.popPercent + " is not between 0 and 1 (" + popPercent + ")");
+
+		issues.forEach(function(issue) {
+			report.issues.push(issue);
+			report[issue.level == "error" ? "errors" : "warnings"].push(issue);
+		});
+		if (issues.some(function(issue) { return issue.level == "error"; }))
+			report.invalid.push(i);
+	});
+
+	return report;
+};
+
+//Copies of `rows` (as they come out of `coerce`, using the field mapping `fields`) to draw, with the values of the numeric fields
+//that aren't numbers (the ones `validate` warns about) replaced by `NaN`, so that the rest of the code treats them as missing.
+//`rows` are left as they are, so that they can be validated again, and written out, with the values they came with
+empires.data.clean = function(rows, fields) {
+	fields = empires.data.mapping(fields);
+
+	return rows.map(function(d) {
+		var copy = {};
+		d3.keys(d).forEach(function(column) {
+			copy[column] = d[column];
+		});
+		empires.data.numeric.forEach(function(field) {
+			var value = copy[fields[field]];
+			if (!empires.data.isMissing(value) && typeof value != "number")
+				copy[fields[field]] = NaN;
+		});
+		return copy;
+	});
+};
+
+//Turn a `points` value into `[year, size]` pairs: either a string like "900:5.2;1000:7", or (from json) an array of pairs already
+empires.data.parsePoints = function(value) {
+	if ($.isArray(value))
+		return value.map(function(point) {
+			return [+point[0], +point[1]];
+		});
+	if (typeof value != "string")
+		return [];
+	return value.split(";").filter(function(pair) {
+		return $.trim(pair) != "";
+	}).map(function(pair) {
+		var parts = pair.split(":");
+		return [parseFloat(parts[0]), parseFloat(parts[1])];
+	});
+};
+
+//A value is missing if the column isn't there, is empty, or was empty and got coerced to `NaN`
+empires.data.isMissing = function(value) {
+	return value === undefined || value === null || value === "" || (typeof value == "number" && isNaN(value));
+};
+
+//***
+
+//##Derived Fields
+
+//How far apart a population share computed from `population` / `worldPopulation` and the one in the `popPercent`
+//column can be before they are reported as disagreeing
+empires.data.tolerance = .005;
+
+//Work out the fields that can be derived from other fields, rather than trusting the precomputed columns of the
+//spreadsheet (which, for `Empires_Data.csv`, include Excel `#DIV/0!` artifacts). They go in an object of their own, `d.derived`,
+//rather than next to the row's columns, so that a file with columns of the same names keeps them. Each row gets:
+//
+//* `d.derived.span` - `end` - `start`
+//* `d.derived.popPercent` - the share of the world population, and `d.derived.popPercentSource` saying where it came from:
+//    * "computed": from `population` / `worldPopulation`
+//    * "source": from the `popPercent` column, as the population or world population is missing
+//    * "missing": there isn't one; it is up to the chart what to do with these (it may mark them as "imputed")
+//* `d.derived.growth` - the row's sizes between `start` and `end` from the `points` column and the areas of its `d.derived.samples` (see `join`),
+//     as `[year, fraction]` pairs in order of year, where `fraction` is the size as a fraction of `area` (see `growth`)
+//
+//If `report` (from `validate`) is given, a warning is added to it for each row where the computed share disagrees
+//with the `popPercent` column, and for each point that can't be used. The `span` column is already checked against `end` - `start` by `validate`.
+empires.data.derive = function(rows, fields, report) {
+	fields = empires.data.mapping(fields);
+
+	rows.forEach(function(d, i) {
+		var start = d[fields.start], peak = d[fields.peak], end = d[fields.end];
+		var population = d[fields.population], world = d[fields.worldPopulation], column = d[fields.popPercent];
+
+		function warning(field, message) {
+			if (!report)
+				return;
+			var issue = {
+				level : "warning",
+				row : i,
+				name : String(d[fields.name]),
+				field : field,
+				message : message
+			};
+			report.issues.push(issue);
+			report.warnings.push(issue);
+		}
+
+		if (!$.isPlainObject(d.derived))
+			d.derived = {};
+		d.derived.span = end - start;
+
+		if (!empires.data.isMissing(population) && world > 0) {
+			d.derived.popPercent = population / world;
+			d.derived.popPercentSource = "computed";
+
+			if (typeof column == "number" && !isNaN(column) && Math.abs(column - d.derived.popPercent) > empires.data.tolerance)
+				warning("popPercent", fields.popPercent + " (" + column + ") is not " + fields.population + " / " + fields.worldPopulation + " (" + d.derived.popPercent + ")");
+		}
+		else if (typeof column == "number" && !isNaN(column)) {
+			d.derived.popPercent = column;
+			d.derived.popPercentSource = "source";
+		}
+		else {
+			d.derived.popPercent = NaN;
+			d.derived.popPercentSource = "missing";
+		}
+
+		//Only the points strictly between the start and end (and not at the peak, where the size is `area` by definition) can be used,
+		//and only if there is an area to measure them against
+		var area = d[fields.area];
+		d.derived.growth = [];
+		empires.data.parsePoints(d[fields.points]).forEach(function(point) {
+			if (isNaN(point[0]) || isNaN(point[1]) || point[1] < 0)
+				warning("points", fields.points + " has a point that isn't a year:size pair (" + point.join(":") + ")");
+			else if (!(point[0] > start && point[0] < end) || point[0] == peak)
+				warning("points", fields.points + " has a point at " + point[0] + ", which isn't between " + fields.start + " and " + fields.end + " (or is at " + fields.peak + ")");
+			else if (!(area > 0))
+				warning("points", fields.points + " can't be used without " + fields.area);
+			else
+				d.derived.growth.push([point[0], point[1] / area]);
+		});
+
+		//The same goes for the samples with an area, except that a sample at the peak is fine (it is just the peak area again)
+		(d.derived.samples || []).forEach(function(sample) {
+			if (isNaN(sample.area) || sample.year == peak || !(area > 0))
+				return;
+			if (!(sample.year > start && sample.year < end))
+				warning("samples", "there is a sample from " + sample.year + ", which isn't between " + fields.start + " and " + fields.end);
+			else
+				d.derived.growth.push([sample.year, sample.area / area]);
+		});
+
+		//Only one point per year (the first one given)
+		d.derived.growth.sort(function(a, b) {
+			return a[0] - b[0];
+		});
+		d.derived.growth = d.derived.growth.filter(function(point, j, points) {
+			return j == 0 || point[0] != points[j - 1][0];
+		});
+	});
+
+	//Keep the issues in row order, as `validate` does
+	if (report)
+		report.issues.sort(function(a, b) {
+			return a.row - b.row;
+		});
+
+	return rows;
+};
+
+//***
+
+//##Imputing Missing Population Shares
+
+//For every row `derive` left without a population share (`d.derived.popPercentSource` is "missing"), estimate one from its
+//neighbours in time: the average share of the closest rows with data whose peak is before and after this row's peak
+//(or just the one on the side that has any). The estimate goes in `d.derived.popPercentImputed`, and is `NaN` for the other rows.
+empires.data.impute = function(rows, fields) {
+	fields = empires.data.mapping(fields);
+
+	var known = rows.filter(function(d) {
+		return d.derived.popPercentSource != "missing";
+	}).sort(function(a, b) {
+		return a[fields.peak] - b[fields.peak];
+	});
+
+	rows.forEach(function(d) {
+		d.derived.popPercentImputed = NaN;
+		if (d.derived.popPercentSource != "missing" || !known.length)
+			return;
+
+		var peak = d[fields.peak], after = 0;
+		while (after < known.length && known[after][fields.peak] <= peak)
+			after++;
+
+		var neighbours = [known[after - 1], known[after]].filter(function(n) {
+			return n != null;
+		});
+		d.derived.popPercentImputed = d3.mean(neighbours, function(n) {
+			return n.derived.popPercent;
+		});
+	});
+
+	return rows;
+};
+
+//***
+
+//##Samples
+
+//Besides the one area (at `peak`) and one population (in `populationYear`) of each row, there can be a secondary table of
+//dated samples, with any number of rows per empire; the columns of that table, which are used for any field not given in a mapping:
+//
+//* `name` - the name of the row the sample is for (matching the `name` field of the main table)
+//* `year` - the year the sample is from
+//* `area`, `population` - the size then (either one can be left empty)
+empires.data.sampleFields = {
+	name : "Name",
+	year : "Year",
+	area : "Land_area_million_km2",
+	population : "Estimated_Population"
+};
+
+//Join the `samples` table (as it comes out of `load`) onto `rows` by name, so that each row gets `d.derived.samples`: its samples, in order of year,
+//as `{year, area, population}` objects (with `NaN` for a missing area or population). `fields` is the field mapping of `rows`, and
+//`sampleFields` the one for `samples` (any field not given in either is taken from the defaults).
+//
+//Samples without a year, or for a name that isn't in `rows`, are left out; if `report` (from `validate`) is given,
+//a warning is added to it for each of them. The samples are checked against the rows' years by `derive`, which should be called after this
+empires.data.join = function(rows, samples, fields, sampleFields, report) {
+	fields = empires.data.mapping(fields);
+	sampleFields = $.extend({}, empires.data.sampleFields, sampleFields);
+
+	var byName = {};
+	rows.forEach(function(d) {
+		if (!$.isPlainObject(d.derived))
+			d.derived = {};
+		d.derived.samples = [];
+		byName[d[fields.name]] = d;
+	});
+
+	(samples || []).forEach(function(sample, i) {
+		var name = sample[sampleFields.name], year = sample[sampleFields.year];
+		var d = byName.hasOwnProperty(name) ? byName[name] : null, problem = null;
+		if (d == null)
+			problem = "a sample (row " + (i + 1) + " of the samples) is for an empire that isn't in the data";
+		else if (typeof year != "number" || isNaN(year))
+			problem = "a sample (row " + (i + 1) + " of the samples) has no " + sampleFields.year;
+
+		if (problem == null)
+			d.derived.samples.push({
+				year : year,
+				area : typeof sample[sampleFields.area] == "number" ? sample[sampleFields.area] : NaN,
+				population : typeof sample[sampleFields.population] == "number" ? sample[sampleFields.population] : NaN
+			});
+		else if (report) {
+			var issue = {
+				level : "warning",
+				row : d == null ? null : rows.indexOf(d),
+				name : empires.data.isMissing(name) ? "(no name)" : String(name),
+				field : "samples",
+				message : problem
+			};
+			report.issues.push(issue);
+			report.warnings.push(issue);
+		}
+	});
+
+	rows.forEach(function(d) {
+		d.derived.samples.sort(function(a, b) {
+			return a.year - b.year;
+		});
+	});
+
+	return rows;
+};
+
+//***
+
+//##Filtering
+
+//The filter settings that let every row through; a chart's filters start out as these (see the `filters` option in empires.js):
+//
+//* `contiguity` - "all", "contiguous" (only the rows whose `contiguous` flag isn't `false`) or "noncontiguous" (only the ones where it is)
+//* `from`, `to` - only the rows that lasted into this range of years, i.e. that ended no earlier than `from` and started no later than `to`
+//     (either one can be `null`, for no limit on that side)
+//* `minArea` - only the rows with at least this `area` (`null` for no limit; rows without an area don't pass any limit)
+//* `population` - "all", or "known" for only the rows with population data (see `derive`)
+empires.data.filters = {
+	contiguity : "all",
+	from : null,
+	to : null,
+	minArea : null,
+	population : "all"
+};
+
+//Return the rows of `rows` that pass all of `filters` (any setting not given is taken from the defaults above), in the same order
+empires.data.filter = function(rows, fields, filters) {
+	fields = empires.data.mapping(fields);
+	filters = $.extend({}, empires.data.filters, filters);
+
+	return rows.filter(function(d) {
+		if (filters.contiguity == "contiguous" && d[fields.contiguous] === false)
+			return false;
+		if (filters.contiguity == "noncontiguous" && d[fields.contiguous] !== false)
+			return false;
+		if (filters.from != null && !(d[fields.end] >= filters.from))
+			return false;
+		if (filters.to != null && !(d[fields.start] <= filters.to))
+			return false;
+		if (filters.minArea != null && !(d[fields.area] >= filters.minArea))
+			return false;
+		if (filters.population == "known" && d.derived.popPercentSource == "missing")
+			return false;
+		return true;
+	});
+};
+
+//***
+
+//##Sorting
+
+//The orders rows can be sorted in; each one returns the value to sort a row `d` by, using the field mapping `fields`
+empires.data.sorts = {
+	start : function(d, fields) {
+		return d[fields.start];
+	},
+	end : function(d, fields) {
+		return d[fields.end];
+	},
+	peak : function(d, fields) {
+		return d[fields.peak];
+	},
+	duration : function(d, fields) {
+		return d[fields.end] - d[fields.start];
+	},
+	area : function(d, fields) {
+		return d[fields.area];
+	},
+	population : function(d, fields) {
+		return d[fields.population];
+	},
+	name : function(d, fields) {
+		return d[fields.name];
+	},
+	region : function(d, fields) {
+		return d[fields.region];
+	}
+};
+
+//Sort `rows` (in place) by one of the `sorts` above, in "ascending" or "descending" `order`. Rows without a value
+//to sort by always go last, and ties (e.g. all of the rows in one region) are in order of their start years
+empires.data.sort = function(rows, fields, by, order) {
+	fields = empires.data.mapping(fields);
+	var value = empires.data.sorts[by] || empires.data.sorts.start;
+	var compare = order == "descending" ? d3.descending : d3.ascending;
+
+	return rows.sort(function(a, b) {
+		var va = value(a, fields), vb = value(b, fields);
+		var missingA = empires.data.isMissing(va), missingB = empires.data.isMissing(vb);
+		if (missingA != missingB)
+			return missingA ? 1 : -1;
+		return (!missingA && compare(va, vb)) || d3.ascending(a[fields.start], b[fields.start]);
+	});
+};
+
+//***
+
+//##Size Over Time
+
+//The growth curve of the row `d`, as `[year, fraction]` points in order of year, where `fraction` is the size as a fraction of its size at its peak:
+//nothing at `start`, growing to all of it at `peak`, and shrinking back to nothing at `end`, going through any points in `d.derived.growth`
+//(see `derive`) on the way. Rows that peak as they start (or end), like the Abbasid Caliphate, are at their full size from the start
+//(or up to the end). `fields` has to be a complete field mapping (see `mapping`), as this is called a lot
+empires.data.growth = function(d, fields) {
+	var start = d[fields.start], peak = d[fields.peak], end = d[fields.end];
+	var inner = (d.derived && d.derived.growth) || [];
+	var points = [];
+	if (peak > start)
+		points.push([start, 0]);
+	inner.forEach(function(point) {
+		if (point[0] < peak)
+			points.push(point);
+	});
+	points.push([peak, 1]);
+	inner.forEach(function(point) {
+		if (point[0] > peak)
+			points.push(point);
+	});
+	if (end > peak)
+		points.push([end, 0]);
+	return points;
+};
+
+//How big the row `d` was in `year`, as a fraction of its size at its peak, going in a straight line between the points of its `growth` curve
+empires.data.sizeAt = function(d, fields, year) {
+	if (!(year >= d[fields.start] && year <= d[fields.end]))
+		return 0;
+	var points = empires.data.growth(d, fields);
+	for (var i = 1; i < points.length; i++)
+		if (year <= points[i][0])
+			return points[i - 1][1] + (points[i][1] - points[i - 1][1]) * (year - points[i - 1][0]) / (points[i][0] - points[i - 1][0]);
+	return points[points.length - 1][1];
+};
+
+//***
+
+//##Exporting
+
+//The columns of the exported rows (see `exportRows`), in order. Most of them are fields of the mapping, holding the row's own values;
+//the others are derived:
+//
+//* `span` - `end` - `start` (see `derive`)
+//* `popPercent` - the share of the world population worked out by `derive`, and `popPercentSource` saying where it came from
+//* `popPercentImputed` - the share estimated from the row's neighbours, for the rows without one (see `impute`)
+//* `imputed` - whether the row has no share of its own, but has an estimated one
+empires.data.exportColumns = ["name", "region", "start", "peak", "end", "span", "area", "contiguous", "population", "populationYear",
+	"worldPopulation", "popPercent", "popPercentSource", "popPercentImputed", "imputed"];
+
+//Turn `rows` (as they come out of `derive` and `impute`, using the field mapping `fields`) into plain objects with the `exportColumns`
+//as their keys, and clean values: numbers, booleans or strings, with `null` for every missing value (rather than `NaN` or "")
+empires.data.exportRows = function(rows, fields) {
+	fields = empires.data.mapping(fields);
+
+	return rows.map(function(d) {
+		var derived = {
+			span : d.derived.span,
+			popPercent : d.derived.popPercent,
+			popPercentSource : d.derived.popPercentSource,
+			popPercentImputed : d.derived.popPercentImputed,
+			imputed : d.derived.popPercentSource == "missing" && !empires.data.isMissing(d.derived.popPercentImputed)
+		};
+		var o = {};
+		empires.data.exportColumns.forEach(function(column) {
+			var value = derived.hasOwnProperty(column) ? derived[column] : d[fields[column]];
+			o[column] = empires.data.isMissing(value) ? null : value;
+		});
+		o.name = String(o.name);
+		return o;
+	});
+};
+
+//The totals over the exported `records` (from `exportRows`): how many `rows` there are, the earliest `start` and latest `end`,
+//the sums of `area`, `population` and `popPercent` (over the rows that have them), and how many rows have a `popPercent` (`withPopPercent`)
+//and how many have an `imputed` one
+empires.data.summarize = function(records) {
+	function values(column) {
+		return records.map(function(o) {
+			return o[column];
+		}).filter(function(value) {
+			return value != null;
+		});
+	}
+
+	return {
+		rows : records.length,
+		start : records.length ? d3.min(values("start")) : null,
+		end : records.length ? d3.max(values("end")) : null,
+		area : d3.sum(values("area")),
+		population : d3.sum(values("population")),
+		popPercent : d3.sum(values("popPercent")),
+		withPopPercent : values("popPercent").length,
+		imputed : records.filter(function(o) {
+			return o.imputed;
+		}).length
+	};
+};
+
+//A value as it is written in a csv file, so that `coerce` reads it back the same: `true` and `false` as "Yes" and "No",
+//and missing values (see `isMissing`) left empty
+empires.data.csvValue = function(value) {
+	if (value === true || value === false)
+		return value ? "Yes" : "No";
+	return empires.data.isMissing(value) ? "" : String(value);
+};
+
+//The writer for each format the data can be exported in; each one takes the `records` from `exportRows` and their `summary`
+//(from `summarize`), and returns the text of the file. Like the `parsers`, other formats can be plugged in by adding to this object
+empires.data.formatters = {
+	//A header with the `exportColumns`, and a line for each record; [d3.csv.format](https://github.com/mbostock/d3/wiki/CSV#wiki-format)
+	//does the quoting. The summary isn't in it, as any line of a csv file is read back as a row (it has a file of its own, see `totals`)
+	csv : function(records, summary) {
+		var columns = empires.data.exportColumns;
+		var lines = [columns].concat(records.map(function(o) {
+			return columns.map(function(column) {
+				return empires.data.csvValue(o[column]);
+			});
+		}));
+		return d3.csv.format(lines) + "\n";
+	},
+	//Just the summary, as a csv file with a line for each of its totals (e.g. "area,240.73"), to go with the "csv" file
+	totals : function(records, summary) {
+		var lines = [["total", "value"]].concat(d3.keys(summary).map(function(key) {
+			return [key, summary[key] == null ? "" : String(summary[key])];
+		}));
+		return d3.csv.format(lines) + "\n";
+	},
+	//An object with the `summary`, and the records in its `data` property (so that the file can be loaded again by the json parser)
+	json : function(records, summary) {
+		return JSON.stringify({
+			summary : summary,
+			data : records
+		}, null, 2);
+	}
+};
+
+//The [media type](http://www.iana.org/assignments/media-types) of each of the `formatters`' files
+empires.data.mediaTypes = {
+	csv : "text/csv",
+	json : "application/json",
+	totals : "text/csv"
+};
+
+//The extension of each of the `formatters`' files, where it isn't just the name of the format
+empires.data.extensions = {
+	totals : "totals.csv"
+};
+
+//Export `rows` (using the field mapping `fields`) as the text of a file in `format`, one of the `formatters`
+empires.data.write = function(rows, fields, format) {
+	var formatter = empires.data.formatters[format];
+	if (!formatter)
+		throw new Error("empires.data: unknown format \"" + format + "\"");
+	var records = empires.data.exportRows(rows, fields);
+	return formatter(records, empires.data.summarize(records));
+};
+
+//***
+
+//##Editing
+
+//The fields of a row that can be edited (see `edit`)
+empires.data.editable = ["start", "peak", "end", "area", "population", "contiguous"];
+
+//Change the row `d` (using the field mapping `fields`): `changes` has a new value for some of the `editable` fields, already coerced
+//(see `coerce`). The precomputed columns that follow from them are kept in step: the `span` column when `start` or `end` changes,
+//and the `popPercent` column when `population` does (if the row has a `worldPopulation` to divide by), as long as the row has
+//those columns at all.
+//
+//Returns the list of the values that actually changed, as `{name, column, from, to}` (where `column` is the column of the row)
+empires.data.edit = function(d, changes, fields) {
+	fields = empires.data.mapping(fields);
+	var edits = [], changed = {};
+
+	function set(column, value) {
+		var from = d[column];
+		if (from === value || (empires.data.isMissing(from) && empires.data.isMissing(value)))
+			return;
+		d[column] = value;
+		edits.push({
+			name : String(d[fields.name]),
+			column : column,
+			from : from,
+			to : value
+		});
+	}
+
+	empires.data.editable.forEach(function(field) {
+		var before = edits.length;
+		if (changes.hasOwnProperty(field))
+			set(fields[field], changes[field]);
+		changed[field] = edits.length > before;
+	});
+
+	if (d[fields.span] !== undefined && (changed.start || changed.end))
+		set(fields.span, d[fields.end] - d[fields.start]);
+	if (d[fields.popPercent] !== undefined && changed.population && d[fields.worldPopulation] > 0)
+		set(fields.popPercent, d[fields.population] / d[fields.worldPopulation]);
+
+	return edits;
+};
+
+//Write `rows` back out as csv, with the given `columns` (in order), the way a file like `Empires_Data.csv` has them
+//(see `csvValue`). Anything else on the rows (like the fields `derive` adds) is left out
+empires.data.toCSV = function(rows, columns) {
+	var lines = [columns].concat(rows.map(function(d) {
+		return columns.map(function(column) {
+			return empires.data.csvValue(d[column]);
+		});
+	}));
+	return d3.csv.format(lines) + "\n";
+};
@@ -1,6 +1,6 @@
 //##Summary
 //
-// This [D3](http://d3js.org/) visualization is by [Edward Lee](http://www.visualizing.org/users/edward-lee), with a 
+// This [D3](http://d3js.org/) visualization is by [Edward Lee](http://www.visualizing.org/users/edward-lee), with a
 // few minor modifications by [BFL](mailto:bradflyon@gmail.com)
 //
 //The (slightly modified) visualization can be viewed [here](http://nowherenearithaca.github.com/empires/index.html)
@@ -24,669 +24,2986 @@
 //     * determine current visualization bounds based on the window size, etc.
 //     * call out to `processData` to update auxiliary quantities
 //     * call `redraw`
+//
+//All of this is wrapped up in the `empires.chart(container, options)` factory, so that each chart owns its own
+//state and several of them can live on the same page:
+//
+//>    `var chart = empires.chart("#timeline", {url: "Empires_Data.csv", controls: "#controls"});`
+//
+//The chart that is on the [index page](index.html) is created by exactly one such call.
 
 //***
 
-//##Variables
+//##Namespace
 
-// The current width and height of the visualization; this will change if the window size changes
-var wid, hei;
-// How long the transitions should last, in milliseconds
-var transitionDuration = 800;
+//Everything this file defines lives under the single global `empires`
+var empires = {};
 
-//The data that is loaded from the file
-var data = [];
-// `scales` holds the various scales used for rendering, and some helper utility functions:
-//
-// * `scales.years`
-//    * [d3 linear scale](https://github.com/mbostock/d3/wiki/Quantitative-Scales#wiki-linear_domain) that maps [minYear,maxYear] to [padding.left, wid - padding.right] (the horizontal pixel bounds of the visualization)
-//    * this is used to get the proper x location on the screen given a year, handling a *lot* of grunt work in a nice way
-//* `scales.indexes`
-//    * [d3 linear scale](https://github.com/mbostock/d3/wiki/Quantitative-Scales#wiki-linear_domain) that maps
-//           [0, data.length - 1] to [padding.top, hei - padding.bottom - barHeight]
-//    * this is used to determine the y location of a bar when fixed heights are being used
-//* `scales.areas`(*area*)
-//    * function that takes an area and returns the height in pixels that that area represents, as a fraction of the total overall empire areas
-//* `scales.popPercents`(*popPercent*)
-//    * function that takes a population percent and returns the height in pixels that that population percent represents, as a fraction of the total overall empire areas
-var scales = {};
-
-//`totals` holds some auxiliary quantities calculated during initialization:
+//The options used for any option not passed in to `empires.chart`:
 //
-// * `totals.area` is the sum of area over all empires
-// * `totals.population` is the sum of population over all empires
-// * `totals.popPercent` is the sum of population percent over all empires
-var totals = {};
-
-//`vis` is the main html/svg element that contains all of the graphics
-var vis;
-//Set some "comfortable" padding around the visualization
-var padding = {
-	top : 40,
-	right : 140,
-	bottom : 30,
-	left : 30
-}
-//The initial barHeight for the bars; this will be changed based on the actual data and window height
-var barHeight = 10;
-//If the percentage of total population is not defined for a given empire, then use this default value
-var defaultPopPercent = .08;
-
-//The `controls` variable holds the current view option settings, as set by clicking one of the links in the "controls" portion of the screen
-
-//* `controls.display` - how the bars are placed horizontally
-//    * "timeline": each bar is placed horizontally where its start year is
-//    * "centered": each bar is placed so that the peak year of the corresponding empire is in the center of the screen
-//    * "aligned": bars are all placed on far left of visualization (this is the fallback if controls.display is not one of the other two possible values)
-//* `controls.height` - how the height of each bar is determined
-//    * "fixed": the height of each bar is the same, and is calculated based on the vertical screen size of the visualization
-//    * "area": the height of each bar corresponds to how much of the total area over all of the empires, thus providing a way to visually compare the size of each empire
-//    * "population": the height of each bar correspond to how much of the total population percentage over all of the empires, thus providing a way to visually compare the fraction of world population of each empire
-var controls = {
-	display : "aligned",
-	height : "fixed"
-}
+//* `url` - a data file to load as soon as the chart is created (if not given, call `chart.data(rows)` yourself)
+//* `format` - the format of the data file: "csv", "tsv" or "json" (guessed from the url's extension if not given)
+//* `samples` - a url (or an array of rows) for a secondary table of dated area and population samples for the empires (see `empires.data.join`)
+//* `sampleFields` - which column of the samples table holds each field; see `empires.data.sampleFields` for the defaults
+//* `fields` - which column holds each field the chart uses; see `empires.data.fields` (in empires.data.js) for the defaults
+//* `units` - the units shown after the `area` and `population` values in the InfoBox
+//* `controls` - selector for the element holding the option links; each link has `data-control` and `data-value` attributes
+//* `width`, `height` - a number, or a function returning a number, for the size of the visualization;
+//     by default the size of the container is used
+//* `padding` - "comfortable" padding around the visualization
+//* `transitionDuration` - how long the transitions should last, in milliseconds
+//* `defaultPopPercent` - if the percentage of total population is not defined for a given empire, then use this default value
+//     (when `controls.missing` is "default")
+//* `placeholderHeight` - the height in pixels of the "unknown" bars drawn when `controls.missing` is "placeholder"
+//* `tickSpacing` - roughly how many pixels apart the year ticks should be
+//* `maxZoom` - how far the time axis can be zoomed in, as a multiple of the full range of years
+//* `overview` - if true, a strip showing all of the empires goes under the chart, with a brush for choosing the range of years to zoom in to
+//* `overviewHeight` - the height of the overview strip, in pixels (taken out of the chart's `height`)
+//* `hash` - if true, the view (the `controls`, the filters, the range of years zoomed in to and the empire whose InfoBox is pinned open)
+//     is kept in the url's hash, e.g. `#display=timeline&height=area&years=1000,1500`, and restored from it on load instead of
+//     switching to the `initial` settings; each change goes into the browser's history, so that the back button steps back through the views
+//* `hashDelay` - how long, in milliseconds, zooming and panning have to stop for before the range of years is written to the url's hash
+//     (browsers only let the hash be changed so many times in a row)
+//* `initial` - the `controls` settings switched to shortly after the data are first drawn
+//* `initialDelay` - how long to wait before switching to the `initial` settings (for a bit of a dramatic effect :) )
+//* `strict` - if true, rows with validation errors (see `empires.data.validate`) are left out of the chart instead of being drawn as they are
+//* `issues` - selector for an element to list the data issues in, or `true` to add one to the container (by default the issues aren't shown)
+//* `filters` - the filter settings to start with; see `empires.data.filters` (in empires.data.js) for what they are
+//* `groupHeaderHeight` - the height in pixels of the header above each group of bars, when they are grouped (see `controls.group`)
+//* `minHitSize` - the smallest width, in pixels, of the area that can be clicked (or tapped) on for each bar, so that very short
+//     empires can still be hit
+//* `dataTable` - if true, a table of the data that is drawn is kept next to the chart, hidden from sight, for screen readers
+//* `streamOffset` - how the layers of the "stream" display are stacked: "silhouette" (centered), "wiggle" (a streamgraph) or "zero" (a stacked area chart);
+//     see [d3's stack layout](https://github.com/mbostock/d3/wiki/Stack-Layout#wiki-offset)
+//* `tooltipDelay` - how long, in milliseconds, the mouse has to rest on an empire before its InfoBox shows up as a tooltip
+//     (`null` to only show it on a click)
+//* `tooltipGap` - how far, in pixels, the InfoBox is kept from the mouse and from the edges of the window
+//* `editor` - if true, the InfoBox of an empire that is clicked on has an "Edit" link, which opens a form for changing its figures
+//     (see `chart.edit`)
+//* `dropFiles` - if true, a csv, tsv or json file dropped onto the chart replaces its data (see `chart.import`)
+//* `exportName` - the name (without the extension) of the files saved by `chart.download`
+//* `exportScale` - how many pixels of an exported PNG image go to each pixel of the chart, if no other scale is asked for
+empires.defaults = {
+	url : null,
+	format : null,
+	samples : null,
+	sampleFields : null,
+	fields : null,
+	units : {
+		area : "million sq km",
+		population : "million people"
+	},
+	controls : null,
+	width : null,
+	height : null,
+	padding : {
+		top : 40,
+		right : 140,
+		bottom : 30,
+		left : 30
+	},
+	transitionDuration : 800,
+	defaultPopPercent : .08,
+	placeholderHeight : 6,
+	tickSpacing : 100,
+	maxZoom : 100,
+	overview : false,
+	overviewHeight : 60,
+	hash : false,
+	hashDelay : 250,
+	initial : null,
+	initialDelay : 500,
+	strict : false,
+	issues : null,
+	filters : null,
+	groupHeaderHeight : 16,
+	minHitSize : 12,
+	dataTable : true,
+	streamOffset : "silhouette",
+	tooltipDelay : 400,
+	tooltipGap : 12,
+	editor : true,
+	dropFiles : true,
+	exportName : "empires",
+	exportScale : 2
+};
 
 //***
 
-//##Initialization
+//##The Chart Factory
+/************************************************************
+ * Create a chart inside of container
+ ***********************************************************/
+//`container` can be anything jQuery and D3 can select (a selector string or a DOM element); the returned `chart`
+//object is the only way to talk to the chart once it is created
+empires.chart = function(container, options) {
+
+	var chart = {};
+	//Each chart gets its own id, used to namespace the events it binds
+	var id = ++empires.chart.count;
+
+	options = $.extend(true, {}, empires.defaults, options);
+
+	//###Variables
+
+	// The current width and height of the visualization; this will change if the window size changes
+	var wid, hei;
+	// How long the transitions should last, in milliseconds
+	var transitionDuration = options.transitionDuration;
+
+	//The rows as they were given to `chart.data` (`sourceRows`); all of the data that is loaded from the file (`allData`),
+	//and the part of it that passes the `filters` and is drawn (`data`)
+	var sourceRows = null, allData = [], data = [];
+	//The columns of `sourceRows`, in the order they came in the file, and the changes made to them with `chart.edit` (see `chart.edits`)
+	var sourceColumns = [], edits = [];
+	//The form for editing an empire, while it is open (see `openEditor`), and the dialog for importing a file (see `chart.import`)
+	var editor = null, importDialog = null;
+	//The secondary table of dated samples, if there is one (see `chart.samples`)
+	var samples = null;
+	//The current filter settings (see `empires.data.filters`)
+	var filters = $.extend({}, empires.data.filters, options.filters);
+	// `scales` holds the various scales used for rendering, and some helper utility functions:
+	//
+	// * `scales.years`
+	//    * [d3 linear scale](https://github.com/mbostock/d3/wiki/Quantitative-Scales#wiki-linear_domain) that maps [minYear,maxYear] to [padding.left, wid - padding.right] (the horizontal pixel bounds of the visualization)
+	//    * this is used to get the proper x location on the screen given a year, handling a *lot* of grunt work in a nice way
+	//* `scales.areas`(*area*)
+	//    * function that takes an area and returns the height in pixels that that area represents, as a fraction of the total overall empire areas
+	//      (of the empires that are not in a collapsed group)
+	//* `scales.stream`
+	//    * [d3 linear scale](https://github.com/mbostock/d3/wiki/Quantitative-Scales#wiki-linear_domain) that maps the stacked sizes of the "stream" display
+	//           to [hei - padding.bottom, padding.top]
+	//* `scales.popPercents`(*popPercent*)
+	//    * function that takes a population percent and returns the height in pixels that that population percent represents, as a fraction of the total population percent
+	//      over all empires (less the height taken up by any placeholder bars)
+	var scales = {};
+
+	//`totals` holds some auxiliary quantities calculated whenever the data or the filters change (so they are
+	//over only the empires that pass the filters):
+	//
+	// * `totals.area` is the sum of area over all empires
+	// * `totals.population` is the sum of population over all empires
+	// * `totals.popPercent` is the sum of population percent over all empires, as drawn with the current `controls.missing`
+	//      (this one is recalculated in `processData`)
+	var totals = {};
+
+	//`groups` holds the groups the bars are drawn in (see `controls.group`), in order from the top; each group has
+	//
+	// * `group.key` - the name of the group, e.g. "Europe" (the groups are in order of these)
+	// * `group.rows` - the empires in it, in the order of `controls.sort`
+	// * `group.area`, `group.population` - the subtotals of area and population over these empires, to go with `totals`
+	// * `group.y`, `group.height` - where the group's lane starts, and how high it is (without the header), for each of the `controls.height` modes
+	//
+	//When the bars aren't grouped, there is just the one group with all of the empires in it (and no header).
+	//`collapsed` has `collapsed[key]` set to true for the groups that are collapsed down to just their header
+	var groups = [], collapsed = {};
+
+	//`streamLayers` holds one layer for each empire in the "stream" display: `layer.row` is the empire, and `layer.values` is its
+	//size over time, as `{x: year, y: size}` points (with `y0`, where it is stacked on top of the layers before it, added by the stack layout)
+	var streamLayers = [];
+
+	//`vis` is the main html/svg element that contains all of the graphics, and `infobox` is the
+	//(absolutely positioned) div that shows the details of a clicked bar
+	var vis, infobox;
+	//The empire whose InfoBox was clicked open, and stays open until it is closed again (`null` if the InfoBox is just a tooltip, or hidden);
+	//`hoverTimer` is the timeout that shows the tooltip, and `hoverAt` is where the mouse last was over an empire
+	var pinned = null, hoverTimer = null, hoverAt = null;
+	//The ids of the hatch pattern used for the placeholder bars and of the clip path for the bars; they have to be unique on the page
+	var hatchId = "empires-hatch-" + id, clipId = "empires-clip-" + id;
+	//`yearExtent` is the full range of years in the data, [earliest start, latest end]; `zoomWindow` is the range of years
+	//zoomed in to in the "timeline" display (or `null` if not zoomed in), and `zoom` is the
+	//[d3 zoom behavior](https://github.com/mbostock/d3/wiki/Zoom-Behavior) that changes it
+	var yearExtent = [0, 0], zoomWindow = null, zoom = null;
+	//A range of years asked for before there was any data to zoom in on (from `chart.zoom` or the url's hash)
+	var pendingZoom = null;
+	//`overview` is the overview strip's svg element (if `options.overview` is on), and `brush` is the
+	//[d3 brush](https://github.com/mbostock/d3/wiki/SVG-Controls#wiki-brush) in it
+	var overview = null, brush = null;
+	//Set some "comfortable" padding around the visualization
+	var padding = options.padding;
+	//Which column of the data holds each of the fields the chart uses (see `empires.data.fields`)
+	var fields = empires.data.mapping(options.fields);
+	//The initial barHeight for the bars; this will be changed based on the actual data and window height
+	var barHeight = 10;
+	//The height of the bars in the "packed" height mode (one lane's worth)
+	var laneBarHeight = 10;
+	//If the percentage of total population is not defined for a given empire, then use this default value
+	var defaultPopPercent = options.defaultPopPercent;
+	//Set once the svg elements for the data have been created
+	var drawn = false;
+	//The pending timeouts for switching to the `initial` controls, for pinning the InfoBox open for the empire in the url's hash,
+	//and for writing the zoomed in range of years to the hash (see `saveStateSoon`), if any
+	var initialTimer = null, pinTimer = null, saveTimer = null;
+	//The report from validating the last data given to the chart, and the element the issues in it are listed in
+	var validation = null, issuesPanel = null;
+	//The touch (and pen) pointers that are down on the chart, by `pointerId`, the pinch going on (if any), and when the last tap
+	//was (see `addTouchEvents`)
+	var pointers = {}, pinch = null, lastTap = 0;
+	//The empire whose bar has (or last had) the keyboard focus, and the hidden table of the data for screen readers (see `showDataTable`)
+	var focused = null, dataTable = null;
+	//The panel that lists the empires around at the year under the mouse in the "timeline" and "stream" displays (see `showYear`)
+	var yearPanel = null;
+
+	//The `controls` variable holds the current view option settings, as set by clicking one of the links in the "controls" portion of the screen
+
+	//* `controls.display` - how the bars are placed horizontally
+	//    * "timeline": each bar is placed horizontally where its start year is
+	//    * "centered": each bar is placed so that the peak year of the corresponding empire is in the center of the screen
+	//    * "aligned": bars are all placed on far left of visualization (this is the fallback if controls.display is not one of the other possible values)
+	//    * "stream": instead of bars, the size of each empire over its lifespan (see `empires.data.sizeAt`) is stacked up into a streamgraph of the
+	//         total size of the empires through history; the size is the share of the world population in the "population" height mode, and the area otherwise
+	//* `controls.height` - how the height of each bar is determined
+	//    * "fixed": the height of each bar is the same, and is calculated based on the vertical screen size of the visualization
+	//    * "area": the height of each bar corresponds to how much of the total area over all of the empires, thus providing a way to visually compare the size of each empire
+	//    * "population": the height of each bar correspond to how much of the total population percentage over all of the empires, thus providing a way to visually compare the fraction of world population of each empire
+	//    * "packed": like "fixed", but in the "timeline" display empires that don't overlap in time (labels included) share a lane,
+	//         so that the bars can be a lot higher (see `packLanes`); in the other displays every empire still gets its own lane
+	//* `controls.missing` - what to do, in the "population" height mode, with the empires that have no population data
+	//    * "default": draw them as if they had `options.defaultPopPercent` of the world population
+	//    * "impute": draw them with the share imputed from their neighbours in time (see `empires.data.impute`)
+	//    * "placeholder": draw them as hatched "unknown" bars, `options.placeholderHeight` pixels high
+	//    * "zero": draw them with zero height, leaving only their label
+	//    * "hide": hide them altogether
+	//* `controls.group` - "none", or the field to group the bars by (only "region" has links for it), giving each group its own lane with a header
+	//* `controls.shape` - how each empire is drawn
+	//    * "bar": a flat bar, with a line at its peak
+	//    * "growth": a shape (in the same place as the bar) that is thickest at the peak, and thins out to nothing at the start and end,
+	//         going through any intermediate sizes in the data (see `empires.data.growth`)
+	//* `controls.sort` - the order the bars are stacked in, from the top: by "start", "end" or "peak" year, "duration",
+	//     "area", "population", "name" or "region" (see `empires.data.sorts`)
+	//* `controls.order` - "ascending" or "descending", for `controls.sort`
+	var controls = {
+		display : "aligned",
+		height : "fixed",
+		missing : "default",
+		group : "none",
+		shape : "bar",
+		sort : "start",
+		order : "ascending"
+	};
+
+	//The settings each of the `controls` can have (besides these, `controls.sort` can be any of `empires.data.sorts`,
+	//and `controls.group` any of the `fields`)
+	var controlValues = {
+		display : ["aligned", "timeline", "centered", "stream"],
+		height : ["fixed", "area", "population", "packed"],
+		missing : ["default", "impute", "placeholder", "zero", "hide"],
+		group : ["none"],
+		shape : ["bar", "growth"],
+		order : ["ascending", "descending"]
+	};
+
+	//The `controls` and filters the chart starts with; only the ones that differ from these go into the url's hash (see `saveState`)
+	var startControls = $.extend({}, controls), startFilters = $.extend({}, filters);
+	//The view in the url's hash when the chart was created (if `options.hash` is on), and the empire in it to pin the InfoBox open for,
+	//once the data are drawn. `shownHash` is the hash the chart last showed or wrote, and `restoring` is set while it goes back to
+	//the view in the hash (so that it isn't written again)
+	var savedState = options.hash ? readState() : null, pendingEmpire = null, shownHash = null, restoring = false;
+	if (savedState && savedState.given) {
+		$.extend(controls, savedState.controls);
+		$.extend(filters, savedState.filters);
+		pendingZoom = savedState.years;
+		pendingEmpire = savedState.empire;
+	}
 
-//This is the [jQuery callback called when the DOM is fully loaded](http://api.jquery.com/ready/)
-$(document).ready(function() {
+	//***
+
+	//###Initialization
 
 	//This will create the `<svg>` html element, so that you end up with this:
-	//>    `<body><svg class="vis">` <br/>
+	//>    `<div id="timeline"><svg class="vis">` <br/>
 
 	//Note that D3 can handle this particular case if you just use "*svg*" instead of "*svg:svg*"
-	vis = d3.select("body")
+	vis = d3.select(container)
 			.append("svg:svg")
-				.attr("class", "vis");
+				.attr("class", "vis")
+				.attr("role", "group")
+				.attr("aria-label", "Timeline of empires; use the arrow keys to go through them, and Enter for the details of one");
+
+	//The InfoBox is positioned using page coordinates, so it goes directly under the body
+	//(its contents are read out by screen readers whenever they change)
+	infobox = $("<div class='infobox' role='status' aria-live='polite'></div>").appendTo("body");
 
 	//Set the size of the div based on the current size of the window; this method
 	//is called every time the window is resized, too
 	setVisSize();
 
-	//###Load the Data
-	//Internally, the `d3.csv` function uses an ajax call to load the raw data;
-	//if you're working on a local file system, you need to tweak d3
-	// to handle ajax calls to local files, a la [this pull request for D3](https://github.com/mbostock/d3/pull/632).
-	//For local file stuff to work on Chrome, you need to also enable local file access
-	// via something like `--allow-file-access-from-files`, but I haven't tried it yet.
-	d3.csv("Empires_Data.csv", function(d) {
-
-		data = d;
-
-		//###Parse the data
-		//Each line of the csv file results in an element in the `data` array
-		for ( i = 0; i < data.length; i++) {
-			d = data[i];
-			//Do a little bit of cleanup/converting
-			for (prop in d) {
-				if (!isNaN(d[prop])) {
-					d[prop] = parseFloat(d[prop]);
-				} else if (d[prop] == "Yes") {
-					d[prop] = true;
-				} else if (d[prop] == "No") {
-					d[prop] = false;
-				}
+	//Hook up the option links (if there are any) so that they change this chart only, and mark the ones for the current `controls`
+	//(which may have come from the url's hash)
+	bindControls();
+	d3.keys(controls).forEach(function(name) {
+		setControl(findControlLink(name, controls[name]), name, controls[name], false);
+	});
+
+	//###Hook into Window Resize Event
+
+	//This uses [jQuery's resize](http://api.jquery.com/resize/) to get notified when the window's size is changed;
+	//the event is namespaced so that `destroy` removes only this chart's handler
+	$(window).bind("resize.empires" + id, function() {
+		chart.resize();
+	});
+
+	//Going back or forward through the browser's history (or editing the hash) goes back to the view in the hash
+	if (options.hash)
+		$(window).bind("popstate.empires" + id + " hashchange.empires" + id, function() {
+			if (drawn && window.location.hash != shownHash)
+				restoreState();
+		});
+
+	//###Hook into Drag and Drop Events
+
+	//A file dropped onto the chart is imported (see `chart.import`); while one is dragged over it, the chart has the CSS class "dropping".
+	//The browser only lets a file be dropped where the `dragenter` and `dragover` events are cancelled
+	if (options.dropFiles)
+		$(vis.node()).bind("dragenter.empires" + id + " dragover.empires" + id, function() {
+			vis.classed("dropping", true);
+			return false;
+		}).bind("dragleave.empires" + id, function() {
+			vis.classed("dropping", false);
+		}).bind("drop.empires" + id, function(e) {
+			vis.classed("dropping", false);
+			var files = e.originalEvent.dataTransfer && e.originalEvent.dataTransfer.files;
+			if (files && files.length)
+				chart.import(files[0]);
+			return false;
+		});
+
+	//***
+
+	//###Public Methods
+
+	//`chart.load(url, format)` loads the file at `url` and replaces the chart's data with it; see
+	//`empires.data.load` for the formats that can be loaded (`format` defaults to `options.format`,
+	//or else to the url's extension). If the file can't be loaded, the chart says why (and keeps the data it had)
+	chart.load = function(url, format) {
+		empires.data.load(url, {format : format || options.format}, function(rows, error) {
+			//The chart may have been destroyed while the file was loading
+			if (vis == null)
+				return;
+			if (rows == null) {
+				showLoadError(url + " could not be loaded", error);
+				return;
 			}
+			//(an imported file may have had its own mapping)
+			fields = empires.data.mapping(options.fields);
+			chart.data(rows);
+		});
+		return chart;
+	};
+
+	//`chart.import(file)` reads a local `file` (picked with a file input, or dropped onto the chart; see `empires.data.read`), and replaces
+	//the chart's data with it, checking it just like `chart.data` does; as the years may be quite different, the zoom is reset.
+	//If the file's columns don't match the fields (see `empires.data.unmatched`), a dialog asks which column holds each of them first
+	chart.import = function(file) {
+		empires.data.read(file, function(rows, error) {
+			if (vis == null)
+				return;
+			if (rows == null) {
+				showLoadError(file.name + " could not be read", error);
+				return;
+			}
+			var columns = empires.data.columns(rows);
+			var mapping = empires.data.mapping(options.fields);
+			if (empires.data.unmatched(columns, mapping).length)
+				askMapping(file.name, rows, columns);
+			else
+				importRows(rows, mapping);
+		});
+		return chart;
+	};
+
+	//`chart.data()` returns the current data; `chart.data(rows)` draws `rows` (as they come out of `empires.data.load`),
+	//using `options.fields` to find the columns
+	chart.data = function(rows) {
+		if (!arguments.length)
+			return data;
+		//(the edits are to the rows that were there before, so they go with them; an edit gives the same rows again)
+		if (rows !== sourceRows) {
+			sourceColumns = empires.data.columns(rows);
+			edits = [];
+			closeEditor();
+		}
+		sourceRows = rows;
+
+		//Check the rows before anything else, as the report refers to them by their position in `rows`; then draw copies of them
+		//(see `empires.data.clean`), so that `sourceRows` keep their values for the next check and for `chart.exportSource`. Join the samples
+		//onto the copies (if there are any), and work out the derived fields (`d.derived`, see `empires.data.derive`) rather than
+		//trusting the precomputed columns
+		validation = empires.data.validate(rows, fields);
+		rows = empires.data.clean(rows, fields);
+		empires.data.join(rows, samples, fields, options.sampleFields, validation);
+		empires.data.derive(rows, fields, validation);
+		empires.data.impute(rows, fields);
+		if (options.strict)
+			rows = rows.filter(function(d, i) {
+				return validation.invalid.indexOf(i) < 0;
+			});
+		showIssues();
+
+		allData = rows;
+		applyFilters();
+
+		//The pinned and focused empires are the old copies of their rows, so they are looked up again
+		pinned = pinned && rowNamed(pinned[fields.name]);
+		focused = focused && rowNamed(focused[fields.name]);
+
+		//Process data for scales, etc. (see notes below)
+		processData();
+
+		//Some more initialization (these methods only called once; see notes below)
+		if (!drawn) {
+			if (pendingZoom) {
+				setZoomWindow(pendingZoom);
+				pendingZoom = null;
+				processData();
+			}
+			drawStarting();
+			addInteractionEvents();
+			drawn = true;
+			if (pendingEmpire) {
+				pinned = rowNamed(pendingEmpire);
+				pendingEmpire = null;
+			}
+			redraw();
+			setInitialControls();
+		}
+		//Otherwise the range of years can have changed, so the zoom is kept inside of the new one
+		else {
+			setZoomWindow(zoomWindow);
+			processData();
+			redraw();
+			saveState(false);
+		}
+
+		return chart;
+	};
+
+	//`chart.filter()` returns (a copy of) the current filter settings, and `chart.filter(name)` just one of them;
+	//`chart.filter(name, value)` changes one of them, and `chart.filter({name: value, ...})` several at once.
+	//Changing the filters redraws the chart with only the empires that pass them, with the scales and totals worked out again
+	chart.filter = function(name, value) {
+		if (!arguments.length)
+			return $.extend({}, filters);
+		if (typeof name == "string" && arguments.length < 2)
+			return filters[name];
+
+		var changes = {};
+		if (typeof name == "string")
+			changes[name] = value;
+		else
+			changes = name;
+		$.extend(filters, changes);
+		showFilters();
+
+		//(the range of years can have changed, so the zoom is kept inside of the new one)
+		if (drawn) {
+			applyFilters();
+			processData();
+			setZoomWindow(zoomWindow);
+			processData();
+			redraw();
+		}
+		saveState(true);
+		return chart;
+	};
+
+	//`chart.collapse(key)` collapses the group named `key` down to just its header (or expands it again, if it is collapsed already);
+	//`chart.collapse(key, true)` and `chart.collapse(key, false)` do one or the other. This only has an effect while the bars are grouped
+	chart.collapse = function(key, value) {
+		collapsed[key] = arguments.length < 2 ? !collapsed[key] : !!value;
+		if (drawn) {
+			processData();
+			redraw();
+		}
+		return chart;
+	};
+
+	//`chart.samples()` returns the secondary table of dated samples; `chart.samples(source)` loads one from a url
+	//(or takes an array of rows; see `empires.data.load`), and joins it onto the data (see `empires.data.join`). The samples are shown
+	//in the InfoBox, and their areas shape the growth curves of the "growth" `controls.shape` and the "stream" display
+	chart.samples = function(source) {
+		if (!arguments.length)
+			return samples;
+		empires.data.load(source, {}, function(rows, error) {
+			if (vis == null)
+				return;
+			if (rows == null) {
+				showLoadError(source + " could not be loaded", error);
+				return;
+			}
+			samples = rows;
+			if (sourceRows)
+				chart.data(sourceRows);
+		});
+		return chart;
+	};
+
+	//`chart.edit(name, changes)` changes the figures of the empire named `name`: `changes` has new values for some of the
+	//`empires.data.editable` fields (e.g. `{start: -27, area: "5"}`), which are coerced just like the values in a file are
+	//(see `empires.data.coerce`). The data are then validated and processed again, and redrawn so that the change is animated;
+	//see `chart.validation` for any issues the change brought up
+	chart.edit = function(name, changes) {
+		var d = (sourceRows || []).filter(function(row) {
+			return String(row[fields.name]) == name;
+		})[0];
+		if (d == null)
+			return chart;
+		empires.data.edit(d, empires.data.coerce([$.extend({}, changes)])[0], fields).forEach(addEdit);
+		chart.data(sourceRows);
+		return chart;
+	};
+
+	//`chart.edits()` returns the changes made with `chart.edit` since the data were loaded, one for each value that was changed:
+	//`{name, column, from, to}`, where `from` is the value in the file and `to` is the value now
+	chart.edits = function() {
+		return edits.map(function(edit) {
+			return $.extend({}, edit);
+		});
+	};
+
+	//`chart.exportEdits()` returns `chart.edits()` as json, as a patch to go with the file the data came from
+	chart.exportEdits = function() {
+		return JSON.stringify(edits, null, 2);
+	};
+
+	//`chart.exportSource()` returns the data, with the edits made to them, as a fresh csv file with the same columns as the one they came from
+	//(see `empires.data.toCSV`)
+	chart.exportSource = function() {
+		return empires.data.toCSV(sourceRows || [], sourceColumns);
+	};
+
+	//`chart.validation()` returns the report from validating the current data (see `empires.data.validate`)
+	chart.validation = function() {
+		return validation;
+	};
+
+	//`chart.control(name)` returns the current setting of `controls[name]`;
+	//`chart.control(name, value)` changes it and redraws
+	chart.control = function(name, value) {
+		if (arguments.length < 2)
+			return controls[name];
+		setControl(findControlLink(name, value), name, value, true);
+		saveState(true);
+		return chart;
+	};
+
+	//`chart.zoom()` returns the range of years zoomed in to, [from, to] (or `null` if not zoomed in);
+	//`chart.zoom([from, to])` zooms in to that range, and `chart.zoom(null)` zooms back out. This only
+	//has an effect in the "timeline" display. The overview strip's brush always shows the same range
+	chart.zoom = function(range) {
+		if (!arguments.length)
+			return zoomWindow ? zoomWindow.slice() : null;
+		range = range == null ? null : [+range[0], +range[1]];
+		if (!drawn) {
+			pendingZoom = range;
+			return chart;
 		}
+		setZoomWindow(range);
+		processData();
+		redraw();
+		saveState(true);
+		return chart;
+	};
 
-		//### Do sort and calculate totals
-		//This is not in `processData` because we only need to do it once, as the source data do not change after being loaded
+	//`chart.exportSVG()` returns the chart as it is now as the markup of a standalone svg file, with the styles it gets from the page
+	//written into it (see `empires.svgMarkup`); the overview strip is not part of it
+	chart.exportSVG = function() {
+		return empires.svgMarkup(vis.node());
+	};
+
+	//`chart.exportPNG(scale, callback)` draws the chart as it is now into a PNG image, `scale` (by default `options.exportScale`)
+	//times the size of the chart, and calls `callback` with it as a data url (or with `null` if the browser couldn't draw it)
+	chart.exportPNG = function(scale, callback) {
+		empires.rasterize(chart.exportSVG(), [wid, hei], scale || options.exportScale, callback);
+		return chart;
+	};
 
-		//Sort the data by start year for the empire, using the [d3 `ascending` utility method](https://github.com/mbostock/d3/wiki/Arrays#wiki-d3_ascending)
-		data.sort(function(a, b) {
-			return d3.ascending(a.Start, b.Start);
+	//`chart.exportData(format)` returns the empires that are shown now, in the order they are drawn in, as the text of a file in `format`
+	//("csv" or "json", or any of the other `empires.data.formatters`), with their derived fields, and the totals over them
+	//(for "csv", these are the "totals" format, a file of their own; see `empires.data.write`). The ones left out by the filters, in collapsed groups, or hidden for having no population data are not in it
+	chart.exportData = function(format) {
+		var shown = data.filter(function(d) {
+			return !isCollapsed(d) && !(noPopulation(d) && controls.missing == "hide");
 		});
+		return empires.data.write(shown, fields, format);
+	};
+
+	//`chart.download(format, scale)` saves the chart as it is now to a file, named `options.exportName`, in one of these formats:
+	//
+	//* "svg": the markup from `chart.exportSVG`
+	//* "png": the image from `chart.exportPNG`, at `scale`
+	//* "csv", "json", "totals" (or any of the other `empires.data.formatters`): the data from `chart.exportData`
+	//* "patch": the edits from `chart.exportEdits`
+	//* "source": the edited data from `chart.exportSource`
+	chart.download = function(format, scale) {
+		var name = options.exportName + "." + format;
+		if (format == "png")
+			chart.exportPNG(scale, function(url) {
+				if (url)
+					empires.download(name, url);
+			});
+		else if (format == "svg")
+			empires.download(name, chart.exportSVG(), "image/svg+xml");
+		else if (format == "patch")
+			empires.download(options.exportName + "-edits.json", chart.exportEdits(), "application/json");
+		else if (format == "source")
+			empires.download(options.exportName + "-edited.csv", chart.exportSource(), "text/csv");
+		else if (empires.data.formatters[format])
+			empires.download(options.exportName + "." + (empires.data.extensions[format] || format), chart.exportData(format),
+				empires.data.mediaTypes[format] || "text/plain");
+		return chart;
+	};
+
+	//`chart.redraw()` redraws everything with the current settings
+	chart.redraw = function() {
+		if (drawn)
+			redraw();
+		return chart;
+	};
+
+	//`chart.resize()` recalculates the size of the chart (and is what the window resize event calls)
+	chart.resize = function() {
+		setVisSize();
+		if (drawn) {
+			processData();
+			redraw();
+		}
+		return chart;
+	};
+
+	//`chart.destroy()` removes everything the chart added to the page, and unbinds all of its events
+	chart.destroy = function() {
+		clearTimeout(initialTimer);
+		clearTimeout(hoverTimer);
+		clearTimeout(pinTimer);
+		clearTimeout(saveTimer);
+		$(window).unbind(".empires" + id);
+		$(document).unbind(".empires" + id);
+		if (options.controls)
+			$(options.controls).find("a[data-control], [data-action], [data-filter]").unbind(".empires" + id);
+		vis.remove();
+		if (overview)
+			overview.remove();
+		overview = brush = null;
+		infobox.remove();
+		closeEditor();
+		closeImportDialog();
+		if (dataTable)
+			dataTable.remove();
+		dataTable = focused = null;
+		if (yearPanel)
+			yearPanel.remove();
+		yearPanel = null;
+		if (issuesPanel) {
+			issuesPanel.find(".issuesToggle").unbind(".empires" + id);
+			if (options.issues === true)
+				issuesPanel.remove();
+			else
+				issuesPanel.empty().hide();
+		}
+		vis = infobox = null;
+		allData = data = [];
+		sourceRows = samples = null;
+		sourceColumns = edits = [];
+		drawn = false;
+	};
+
+	//***
+
+	//###Filter the Data and Calculate Totals
+	//Narrow `allData` down to the empires that pass the `filters` (see `empires.data.filter`); the totals, and with them the
+	//"area" and "population" scales in `processData`, are then relative to only the empires that are drawn
+	function applyFilters() {
+		data = empires.data.filter(allData, fields, filters);
 
 		//Calculate the total area of all empires, using the [d3 `sum` utility method](https://github.com/mbostock/d3/wiki/Arrays#wiki-d3_sum)
 		totals.area = d3.sum(data, function(d) {
-			return d.Land_area_million_km2;
+			return d[fields.area];
 		});
 
 		//Calculate the total population of all empires, using the [d3 `sum` utility method](https://github.com/mbostock/d3/wiki/Arrays#wiki-d3_sum)
 		totals.population = d3.sum(data, function(d) {
-			return d.Estimated_Population;
+			return d[fields.population];
+		});
+	}
+
+	//Set the initial options for controls.display and controls.height, after a wait (of 500ms by default); not if the view was
+	//restored from the url's hash, though
+	function setInitialControls() {
+		if (!options.initial || (savedState && savedState.given))
+			return;
+		initialTimer = setTimeout(function() {
+			initialTimer = null;
+			var names = d3.keys(options.initial);
+			names.forEach(function(name, i) {
+				//Only redraw once, after the last one has been set
+				setControl(findControlLink(name, options.initial[name]), name, options.initial[name], i == names.length - 1);
+			});
+			saveState(false);
+		}, options.initialDelay);
+	}
+
+	//***
+
+	//###Keep the View in the URL's Hash
+	//When `options.hash` is on, the view is kept in the url's hash:
+	//
+	//* the `controls` and the `filters`, where they differ from the ones the chart started with (e.g. `display=timeline`, `minArea=1`)
+	//* the range of years zoomed in to, as `years=from,to`
+	//* the empire whose InfoBox is pinned open, by name (e.g. `empire=Roman Empire`)
+	//
+	//Each change made with the option links, the filters, the `chart` methods or by pinning an InfoBox adds an entry to the browser's
+	//history; zooming and panning with the mouse, fingers or brush only replace the current one, as they change the view continuously
+
+	//The view in the url's hash, as `controls` and `filters` (with the starting ones for any that aren't in it, or aren't valid settings),
+	//`years` (or `null`) and `empire` (or `null`); `given` is whether the hash has any of these at all
+	function readState() {
+		var hash = empires.readHash();
+		var state = {
+			controls : {},
+			filters : {},
+			years : null,
+			empire : hash.empire || null,
+			given : false
+		};
+		d3.keys(startControls).forEach(function(name) {
+			state.controls[name] = isControlValue(name, hash[name]) ? hash[name] : startControls[name];
+			state.given = state.given || hash[name] != null;
+		});
+		//(the filters without a default are the numeric limits)
+		d3.keys(empires.data.filters).forEach(function(name) {
+			var value = hash[name];
+			if (value != null && empires.data.filters[name] == null)
+				value = value == "" || isNaN(+value) ? null : +value;
+			state.filters[name] = hash[name] == null ? startFilters[name] : value;
+			state.given = state.given || hash[name] != null;
+		});
+		var years = (hash.years || "").split(",").map(parseFloat);
+		if (years.length == 2 && !isNaN(years[0]) && !isNaN(years[1]))
+			state.years = years;
+		state.given = state.given || state.years != null || state.empire != null;
+		return state;
+	}
+
+	//Whether `value` is one of the settings `controls[name]` can have
+	function isControlValue(name, value) {
+		if (name == "sort")
+			return empires.data.sorts.hasOwnProperty(value);
+		if (name == "group" && fields.hasOwnProperty(value))
+			return true;
+		return (controlValues[name] || []).indexOf(value) >= 0;
+	}
+
+	//Write the current view to the url's hash, as a new entry in the browser's history if `push` is true (otherwise it replaces the current one)
+	function saveState(push) {
+		clearTimeout(saveTimer);
+		if (!options.hash || restoring)
+			return;
+		var changes = {};
+		d3.keys(startControls).forEach(function(name) {
+			changes[name] = controls[name] == startControls[name] ? null : controls[name];
+		});
+		d3.keys(empires.data.filters).forEach(function(name) {
+			changes[name] = filters[name] == startFilters[name] ? null : filters[name];
+		});
+		changes.years = zoomWindow ? zoomWindow.map(Math.round).join(",") : null;
+		changes.empire = pinned ? pinned[fields.name] : null;
+		empires.writeHash(changes, push);
+		shownHash = window.location.hash;
+	}
+
+	//Like `saveState(false)`, but only once there have been no more calls for `options.hashDelay`; for the changes that come
+	//many times a second, like zooming and panning
+	function saveStateSoon() {
+		clearTimeout(saveTimer);
+		saveTimer = setTimeout(function() {
+			saveState(false);
+		}, options.hashDelay);
+	}
+
+	//Go back to the view in the url's hash (after the back or forward button), redrawing once
+	function restoreState() {
+		var state = readState();
+		clearTimeout(initialTimer);
+		clearTimeout(saveTimer);
+		restoring = true;
+		d3.keys(state.controls).forEach(function(name) {
+			setControl(findControlLink(name, state.controls[name]), name, state.controls[name], false);
+		});
+		$.extend(filters, state.filters);
+		showFilters();
+		applyFilters();
+		processData();
+		setZoomWindow(state.years);
+		processData();
+		pinned = state.empire ? rowNamed(state.empire) : null;
+		redraw();
+		restoring = false;
+		shownHash = window.location.hash;
+	}
+
+	//The empire named `name` in `data`, if there is one
+	function rowNamed(name) {
+		return data.filter(function(row) {
+			return row[fields.name] == name;
+		})[0] || null;
+	}
+
+	//***
+
+	//###Set the Width and Height of the Visualization
+
+	//These calculations are based on the `width`/`height` options, or else on the current size of the container
+	function setVisSize() {
+
+		wid = sizeOption(options.width, $(container).width());
+		hei = sizeOption(options.height, $(container).height() || 500);
+		if (options.overview)
+			hei -= options.overviewHeight;
+		vis.attr("width", wid).attr("height", hei); //works in firefox;
+		/*
+		 The original $(".vis").attr("width", wid);//does not work in firefox
+		 */
+		vis.select(".background").attr("width", wid).attr("height", hei);
+
+	}
+
+	//Note: You need to be careful how you set the width/height attributes, because the jQuery selectors might not work correctly on Firefox.
+
+	//***
+
+	//###Recalculate Scales, etc. based on Current Window Size
+	/************************************************************
+	 * Process the data once it's imported
+	 ***********************************************************/
+	//`processData` is called every time the screen is resized, and whenever the data or the `controls` change.
+	//It sets `scales.years`, `scales.areas`,  `scales.popPercents`, and lays out the `groups`
+
+	function processData() {
+		var i, d, mode;
+
+		//Put the data in the order the bars are stacked in, using `controls.sort` and `controls.order` (see `empires.data.sort`);
+		//the bars are keyed by name, so `redraw` moves each of them to its new place
+		empires.data.sort(data, fields, controls.sort, controls.order);
+
+		//Split the data up into the `groups` (keeping the order from above within each one), and put `data` in the order the
+		//bars are drawn in, from the top
+		groups = groupRows();
+		data = d3.merge(groups.map(function(group) {
+			return group.rows;
+		}));
+
+		//The height left for the bars once the group headers are taken out; the empires in collapsed groups don't take up any of it
+		var headers = controls.group != "none" ? groups.length * options.groupHeaderHeight : 0;
+		var range = Math.max(hei - padding.top - padding.bottom - headers, 0);
+		var shown = data.filter(function(d) {
+			return !isCollapsed(d);
 		});
 
+		//`barHeight` is used for the fixed size case
+		barHeight = range / Math.max(shown.length, 1);
+
+		//Configure the `scales` functions; in the "timeline" display the years can be zoomed in to `zoomWindow`
+		//(with no data at all, e.g. when everything has been filtered out, any range will do)
+		yearExtent = data.length ? [d3.min(data, function(d) {return d[fields.start];}),
+					d3.max(data, function(d) {return d[fields.end];})] : [0, 1];
+		scales.years = d3.scale.linear()
+						.domain(controls.display == "timeline" && zoomWindow ? zoomWindow : yearExtent)
+						.range([padding.left, wid - padding.right]);
+		syncZoom();
+
+		var shownArea = d3.sum(shown, function(d) {
+			return d[fields.area];
+		});
+		scales.areas = function(a) {
+			var percentage = a / shownArea;
+			return range * percentage;
+		};
+
 		//Calculate the sum of the population percentage over  of all empires, using the
 		//[d3 `sum` utility method](https://github.com/mbostock/d3/wiki/Arrays#wiki-d3_sum); some of the records do not have the population percentage defined,
-		//so these must be dealt somehow, in this case returning the default
-		//population percentage (of 0.08)
-		totals.popPercent = d3.sum(data, function(d) {
-			if (isNaN(d.Percent_World_Population))
-				return defaultPopPercent;
-			else
-				return d.Percent_World_Population;
+		//so these must be dealt somehow, depending on `controls.missing` (see `drawnPopPercent`)
+		totals.popPercent = d3.sum(shown, drawnPopPercent);
+
+		//The placeholder bars have a fixed height, which has to be taken out of the height available to the others
+		var placeholders = controls.missing == "placeholder" ? shown.filter(hasNoPopulation).length : 0;
+
+		scales.popPercents = function(a) {
+			if (!totals.popPercent)
+				return 0;
+			var percentage = a / totals.popPercent;
+			return Math.max(range - placeholders * options.placeholderHeight, 0) * percentage;
+		};
+
+		//For the "packed" mode, share out the lanes within each group; all of the lanes are the same height
+		var lanes = d3.sum(groups, function(group) {
+			group.lanes = packLanes(group.rows.filter(function(d) {
+				return !isCollapsed(d);
+			}));
+			return group.lanes;
 		});
+		laneBarHeight = range / Math.max(lanes, 1);
+
+		//Determine the y location of each bar (and the height, for the population percentage) for each of the `controls.height` modes at once,
+		//going down group by group: each group starts with its header, and then has its bars stacked one under the other (or, in the
+		//"packed" mode, in its lanes). The bars of a collapsed group all sit just under its header, with no height
+		var y = {fixed : padding.top, area : padding.top, population : padding.top, packed : padding.top};
+		groups.forEach(function(group) {
+			group.y = $.extend({}, y);
+			if (controls.group != "none")
+				for (mode in y)
+					y[mode] += options.groupHeaderHeight;
+
+			for ( i = 0; i < group.rows.length; i++) {
+				d = group.rows[i];
+				d.fixed_y = y.fixed;
+				d.area_y = y.area;
+				d.popPercent_y = y.population;
+				d.packed_y = y.packed + (isCollapsed(d) ? 0 : d.lane * laneBarHeight);
+
+				if (isCollapsed(d))
+					d.popPercent_height = 0;
+				else if (controls.missing == "placeholder" && hasNoPopulation(d))
+					d.popPercent_height = options.placeholderHeight;
+				else
+					d.popPercent_height = scales.popPercents(drawnPopPercent(d));
 
-		//Process data for scales, etc. (see notes below)
-		processData();
+				if (!isCollapsed(d)) {
+					y.fixed += barHeight;
+					y.area += scales.areas(d[fields.area]);
+					y.population += d.popPercent_height;
+				}
+			}
+			y.packed += group.lanes * laneBarHeight;
 
-		//Some more initialization (these methods only called once; see notes below)
-		drawStarting();
-		addInteractionEvents();
+			group.height = {};
+			for (mode in y)
+				group.height[mode] = y[mode] - group.y[mode] - (controls.group != "none" ? options.groupHeaderHeight : 0);
+		});
 
-		//Set the initial options for controls.display and controls.height, after a wait of 500ms (for a bit of a dramatic effect :) )
-		setTimeout(function() {
-			//Set the initial "controls.display" option to "timeline", and do not redraw
-			setControl($("#controls #layoutControls #layout-timeline"), "display", "timeline", false);
-			//Set the initial "controls.height" option to "area", and redraw
-			setControl($("#controls #heightControls #height-area"), "height", "area", true);
-		}, 500);
+		//The "stream" display has its own layout
+		if (controls.display == "stream")
+			stackStream();
 
-	});
-});
-//***
+	}
 
-//##Set the Width and Height of the Visualization
+	//###Stack the Streamgraph
+	//Work out `streamLayers` and `scales.stream` for the "stream" display. Each empire's size is sampled every few pixels along the
+	//time axis, and at the start, peak and end of every empire (so that the corners come out right); then the layers are stacked in the
+	//order of `data` with the [d3 stack layout](https://github.com/mbostock/d3/wiki/Stack-Layout). The empires in collapsed groups have no size
+	function stackStream() {
+		var domain = scales.years.domain();
+		var step = (domain[1] - domain[0]) * 5 / Math.max(wid - padding.left - padding.right, 1);
+		var years = d3.range(domain[0], domain[1], step);
+		years.push(domain[1]);
+		data.forEach(function(d) {
+			years.push(d[fields.start], d[fields.peak], d[fields.end]);
+		});
+		years = years.filter(function(year) {
+			return !isNaN(year);
+		}).sort(d3.ascending);
+		years = years.filter(function(year, i) {
+			return i == 0 || year != years[i - 1];
+		});
 
-//These calculations are based on the current window size
-function setVisSize() {
+		streamLayers = data.map(function(d) {
+			var size = isCollapsed(d) ? 0 : streamSize(d);
+			return {
+				row : d,
+				values : years.map(function(year) {
+					return {
+						x : year,
+						y : size * empires.data.sizeAt(d, fields, year)
+					};
+				})
+			};
+		});
+		if (streamLayers.length)
+			d3.layout.stack()
+				.offset(options.streamOffset)
+				.values(function(layer) {
+					return layer.values;
+				})(streamLayers);
+
+		var top = d3.max(streamLayers, function(layer) {
+			return d3.max(layer.values, function(v) {
+				return v.y0 + v.y;
+			});
+		});
+		scales.stream = d3.scale.linear()
+						.domain([0, top || 1])
+						.range([hei - padding.bottom, padding.top]);
+	}
 
-	wid = $(window).width() - 4;
-	hei = $(window).height() - 25 - $("#controls").height();
-	vis.attr("width", wid).attr("height", hei); //works in firefox; 
-	/*
-	 The original $(".vis").attr("width", wid);//does not work in firefox
-	 */
-	$(".vis .background").attr("width", wid).attr("height", hei);
+	//The size of an empire at its peak, in the "stream" display: its share of the world population (as drawn with
+	//the current `controls.missing`) in the "population" height mode, and its area otherwise
+	function streamSize(d) {
+		if (controls.height == "population")
+			return drawnPopPercent(d);
+		return d[fields.area] || 0;
+	}
 
-}
+	//###Pack the Lanes
+	//Give each of `rows` a lane (`d.lane`) for the "packed" height mode, and return how many lanes there are.
+	//
+	//In the "timeline" display this is a greedy [interval graph coloring](http://en.wikipedia.org/wiki/Interval_graph):
+	//going through the empires in order of their start years, each one goes in the first lane that is free by then, or else in a new lane.
+	//A lane is free once the last empire in it has ended *and* its label (which is right of the bar) is out of the way, so
+	//this is done in pixels; the full range of years is used, rather than the zoomed in one, so that the lanes don't change while zooming
+	//(zooming in only spreads things out). In the other displays the bars all start at the same place, so each empire gets its own lane,
+	//in the order of `controls.sort`
+	function packLanes(rows) {
+		if (controls.display != "timeline") {
+			rows.forEach(function(d, i) {
+				d.lane = i;
+			});
+			return rows.length;
+		}
 
-//Note: You need to be careful how you set the width/height attributes, because the jQuery selectors might not work correctly on Firefox.
+		var x = d3.scale.linear()
+			.domain(yearExtent)
+			.range([padding.left, wid - padding.right]);
+		//Where each lane is taken up to, in pixels
+		var ends = [];
+		rows.slice().sort(function(a, b) {
+			return d3.ascending(a[fields.start], b[fields.start]);
+		}).forEach(function(d) {
+			var left = x(d[fields.start]), lane = 0;
+			while (lane < ends.length && ends[lane] > left)
+				lane++;
+			ends[lane] = x(d[fields.end]) + labelWidth(d);
+			d.lane = lane;
+		});
+		return ends.length;
+	}
 
-//***
+	//A rough guess of how much room a bar's label takes up right of the bar, in pixels (the labels are 9px
+	//sans-serif, which comes to about 5px a character, plus the 5px `dx` and a bit of space)
+	function labelWidth(d) {
+		return String(d[fields.name]).length * 5 + 10;
+	}
 
-//##Hook into Window Resize Event
+	//###Group the Data
+	//Split `data` into groups by `controls.group` (see `groups`), using a [d3 nest](https://github.com/mbostock/d3/wiki/Arrays#wiki-d3_nest),
+	//and work out the subtotals for each group. The groups are in alphabetical order, except for "Other", which always goes last
+	function groupRows() {
+		if (controls.group == "none")
+			return [makeGroup(null, data)];
+
+		return d3.nest()
+			.key(groupOf)
+			.sortKeys(function(a, b) {
+				return (a == "Other") - (b == "Other") || d3.ascending(a, b);
+			})
+			.entries(data)
+			.map(function(entry) {
+				return makeGroup(entry.key, entry.values);
+			});
+	}
 
-//This uses [jQuery's resize](http://api.jquery.com/resize/) to get notified when the window's size is changed
-$(window).resize(function() {
-	setVisSize();
-	processData();
-	redraw();
-});
-//***
+	function makeGroup(key, rows) {
+		return {
+			key : key,
+			rows : rows,
+			area : d3.sum(rows, function(d) {
+				return d[fields.area];
+			}),
+			population : d3.sum(rows, function(d) {
+				return d[fields.population];
+			})
+		};
+	}
 
-//##Recalculate Scales, etc. based on Current Window Size
-/************************************************************
- * Process the data once it's imported
- ***********************************************************/
-//`processData` is called every time the screen is resized.
-//It sets `scales.years`, `scales.indexes`, `scales.areas`,  `scales.popPercents`
+	//The group an empire is in; empires without a value for the field being grouped by go in "Other"
+	function groupOf(d) {
+		var value = d[fields[controls.group]];
+		return empires.data.isMissing(value) ? "Other" : String(value);
+	}
+
+	//Whether an empire is in a collapsed group
+	function isCollapsed(d) {
+		return controls.group != "none" && collapsed[groupOf(d)] == true;
+	}
+
+	//An empire has no population data if there was no way to derive its share of the world population
+	function hasNoPopulation(d) {
+		return d.derived.popPercentSource == "missing";
+	}
+
+	//The population percent a bar is drawn with in the "population" height mode; for the empires without
+	//population data this depends on `controls.missing` (placeholder, zero-height and hidden bars don't take up any of it)
+	function drawnPopPercent(d) {
+		if (!hasNoPopulation(d))
+			return d.derived.popPercent;
+		if (controls.missing == "default")
+			return defaultPopPercent;
+		if (controls.missing == "impute" && !isNaN(d.derived.popPercentImputed))
+			return d.derived.popPercentImputed;
+		return 0;
+	}
+
+	//***
+
+	//###Initial Render (called only once)
+	/************************************************************
+	 * Initial rendering of the vis
+	 ***********************************************************/
+	function drawStarting() {
+
+		//####The Main *rect* Containing the Visualization
+
+		//1. Create a new [svg `rect` element](http://www.w3.org/TR/SVG/shapes.html#RectElement) under the main visualization element
+		//2. Set its CSS class to "background"
+		//3. Set its `x` attribute to 0
+		//4. Set its `y` attribute to 0
+		//5. Set its width to the current window width (as calculated in `setVisSize()`)
+		//6. Set its height to the current window height (as calculated in `setVisSize()`)
+		vis.append("svg:rect")
+			.attr("class", "background")
+			.attr("x", 0)
+			.attr("y", 0)
+			.attr("width", wid)
+			.attr("height", hei);
+
+		//The clip path keeps the bars inside of the horizontal bounds of the visualization when zoomed in (see `redraw`)
+		vis.append("svg:defs")
+			.append("svg:clipPath")
+				.attr("id", clipId)
+			.append("svg:rect")
+				.attr("x", 0)
+				.attr("y", 0)
+				.attr("width", wid)
+				.attr("height", hei);
+
+		//#### Year Ticks
+		//The tick lines go in their own group, `g.ticks`, so that they stay behind the bars; the ticks themselves
+		//are made (and remade) by `redraw`, as they depend on the current range of years and width
+		vis.append("svg:g")
+			.attr("class", "ticks");
+
+		//#### Group Lanes
+		//When the bars are grouped, each group gets a lane (a faint band behind its bars) with a header; they go in `g.groups`,
+		//between the year ticks and the bars, and are made by `redraw`
+		vis.append("svg:g")
+			.attr("class", "groups");
+
+		//#### Streamgraph
+		//The layers of the "stream" display go in `g.stream`, and are made by `redraw`
+		vis.append("svg:g")
+			.attr("class", "stream");
+
+		//#### Empire Containers
+		//The bars all go in one clipped group, `g.bars`, which is in front of the year ticks; the bars themselves
+		//are made (and removed) by `redraw`, whenever the data changes
+		vis.append("svg:g")
+			.attr("class", "bars")
+			.attr("clip-path", "url(#" + clipId + ")")
+			.attr("role", "group")
+			.attr("aria-label", "Empires");
+
+		// ####Tick Labels
+		//The tick labels go in front of the bars, in `g.rules`; like the tick lines, they are made by `redraw`
+		vis.append("svg:g")
+			.attr("class", "rules");
+
+		//####Mouse Line
+		//The "year cursor": a line that follows the mouse in the "timeline" and "stream" displays, with the year it is at
+		//above it (the empires around in that year are listed in the `yearPanel`)
+		vis.append("svg:line")
+			.attr("class", "mouseLine")
+			.style("display", "none");
+		vis.append("svg:text")
+			.attr("class", "mouseYear")
+			.attr("text-anchor", "middle")
+			.style("display", "none");
+
+		// ####Legend
+		//The legend explains how the empires without population data are drawn, so it is only shown in the "population" height mode;
+		//it goes in the top right corner, above the bar labels. Its contents are set in `redraw`, as they depend on `controls.missing`
+		//
+		//The hatch pattern for the placeholder bars is defined here too (the lines in it are styled by `path.hatch`)
+		vis.select("defs")
+			.append("svg:pattern")
+				.attr("id", hatchId)
+				.attr("patternUnits", "userSpaceOnUse")
+				.attr("width", 4)
+				.attr("height", 4)
+			.append("svg:path")
+				.attr("class", "hatch")
+				.attr("d", "M-1,1 l2,-2 M0,4 l4,-4 M3,5 l2,-2");
+
+		var legend = vis.append("svg:g")
+			.attr("class", "legend")
+			.style("fill-opacity", 0);
+
+		legend.selectAll("g.legendItem")
+			.data(["known", "missing"])
+			.enter()
+				.append("svg:g")
+					.attr("class", "legendItem")
+					.attr("transform", function(d, i) {
+						return "translate(0, " + i * 14 + ")";
+					})
+					.each(function() {
+						d3.select(this).append("svg:rect")
+							.attr("class", "bar")
+							.attr("width", 10)
+							.attr("height", 10);
+						d3.select(this).append("svg:text")
+							.attr("x", 15)
+							.attr("y", 5)
+							.attr("dy", ".35em");
+					});
 
-function processData() {
+		// ####Zooming
+		//Zooming and panning the time axis is done by a [d3 zoom behavior](https://github.com/mbostock/d3/wiki/Zoom-Behavior)
+		//on the whole visualization (mouse wheel or double click to zoom, drag to pan); it is only switched on in the "timeline" display,
+		//by `redraw`. It can't zoom out further than the full range of years
+		zoom = d3.behavior.zoom()
+			.scaleExtent([1, options.maxZoom])
+			.on("zoom", zoomed);
+		syncZoom();
+
+		// ####Overview Strip
+		//The overview strip is its own `svg.overview` element, right under the main one; it has a thin line (`line.overviewLine`)
+		//for each empire, a few year labels and the brush. Everything in it is positioned by `redraw`
+		if (options.overview) {
+			overview = d3.select(container)
+				.append("svg:svg")
+					.attr("class", "overview");
+			overview.append("svg:rect")
+				.attr("class", "background")
+				.attr("x", 0)
+				.attr("y", 0);
+			overview.append("svg:g")
+				.attr("class", "overviewLines");
+			overview.append("svg:g")
+				.attr("class", "brush");
+			brush = d3.svg.brush()
+				.on("brush", brushed);
+		}
 
-	//`barHeight` is used for the fixed size case
-	barHeight = (hei - padding.top - padding.bottom) / data.length;
+	}
 
-	//Configure the `scales` functions
-	scales.years = d3.scale.linear()
-					.domain([d3.min(data, function(d) {return d.Start;}), 
-							d3.max(data, function(d) {return d.End;})])
-					.range([padding.left, wid - padding.right]);
+	//***
 
-	scales.indexes = d3.scale.linear()
-					.domain([0, data.length - 1])
-					.range([padding.top, hei - padding.bottom - barHeight]);
+	//###Zooming the Time Axis
 
-	scales.areas = function(a) {
-		var percentage = a / totals.area;
-		var range = hei - padding.top - padding.bottom;
-		return range * percentage;
+	//Called by the zoom behavior as the user zooms or pans; the zoom behavior has changed the domain of its scale, which
+	//becomes the new `zoomWindow`, and everything is redrawn right away (without a transition)
+	function zoomed() {
+		if (controls.display != "timeline")
+			return;
+		setZoomWindow(zoom.x().domain());
+		processData();
+		redraw(0);
+		saveStateSoon();
 	}
 
-	scales.popPercents = function(a) {
-		if (isNaN(a))
-			a = defaultPopPercent;
-		var percentage = a / totals.popPercent;
-		var range = hei - padding.top - padding.bottom;
-		return range * percentage;
+	//Called by the overview strip's brush as the user drags it; clearing the brush (by clicking outside of it) zooms back out
+	function brushed() {
+		setZoomWindow(brush.empty() ? null : brush.extent());
+		processData();
+		redraw(0);
+		saveStateSoon();
 	}
-	//Determine the y location for each bar for the case where height of each bar is proportional to the area of the corresponding empire
-	var y_area = padding.top;
-	for ( i = 0; i < data.length; i++) {
-		d = data[i];
-		d.area_y = y_area;
-		y_area += scales.areas(d.Land_area_million_km2);
+
+	//Set `zoomWindow`, keeping it inside of `yearExtent` and no narrower than `options.maxZoom` allows; it is set to `null` if
+	//that means it covers all of the years (the callers write the new range to the url's hash, with `saveState`)
+	function setZoomWindow(range) {
+		var full = yearExtent[1] - yearExtent[0];
+		if (range == null || !(range[1] - range[0] < full))
+			zoomWindow = null;
+		else {
+			var span = Math.max(range[1] - range[0], full / options.maxZoom);
+			var from = Math.max(yearExtent[0], Math.min(range[0], yearExtent[1] - span));
+			zoomWindow = [from, from + span];
+		}
 	}
 
-	//Determine the y location for each bar for the case where height of each bar is proportional to the population percentage
-	var y_popPercent = padding.top;
-	for ( i = 0; i < data.length; i++) {
-		d = data[i];
-		d.popPercent_y = y_popPercent;
+	//The zoom behavior works on its own copy of the full year scale; whenever `scales.years` is rebuilt (or `zoomWindow` is
+	//changed from outside of the zoom behavior), set its scale and translation to match the current range of years
+	function syncZoom() {
+		if (zoom == null)
+			return;
+		var full = d3.scale.linear().domain(yearExtent).range(scales.years.range());
+		var range = scales.years.domain();
+		var scale = (yearExtent[1] - yearExtent[0]) / ((range[1] - range[0]) || 1);
+		zoom.x(full)
+			.scale(scale)
+			.translate([full.range()[0] - scale * full(range[0]), 0]);
+	}
 
-		if (isNaN(d.Percent_World_Population))
-			y_popPercent += scales.popPercents(defaultPopPercent);
+	//Switch the zoom behavior on or off, depending on the display
+	function bindZoom() {
+		if (controls.display == "timeline")
+			vis.call(zoom);
 		else
-			y_popPercent += scales.popPercents(d.Percent_World_Population);
+			["mousedown", "mousewheel", "mousemove", "DOMMouseScroll", "dblclick"].forEach(function(type) {
+				vis.on(type + ".zoom", null);
+			});
+		//Touch gestures are handled with pointer events instead (see `addTouchEvents`)
+		["touchstart", "touchmove", "touchend"].forEach(function(type) {
+			vis.on(type + ".zoom", null);
+		});
 	}
 
-}
-
-//***
+	//***
+
+	//###redraw
+	/************************************************************
+	 * Redraw the vis with transition
+	 ***********************************************************/
+
+	//Redraw everything, using a transition (of `duration` milliseconds, `transitionDuration` by default) for each thing rendered every time
+
+	//Things are rendered from back to front:
+
+	//* year ticklines ("line.tickline")
+	//* empire containers ("g")
+	//* bars ("g.barGroup rect.bar")
+	//* bar labels ("g.barGroup text.barLabel")
+	//* peak lines ("g.barGroup line.peakLine")
+	//* tick labels ("text.rule")
+	function redraw(duration) {
+
+		if (!arguments.length)
+			duration = transitionDuration;
+
+		//(a pinned InfoBox is shown again at the end, see `showPinned`)
+		clearTimeout(hoverTimer);
+		infobox.hide();
+
+		//The zoom behavior is only on in the "timeline" display; when zoomed in, the bars are clipped to the horizontal bounds of the visualization
+		bindZoom();
+		var zoomedIn = controls.display == "timeline" && zoomWindow != null;
+		vis.select("#" + clipId + " rect")
+			.attr("x", zoomedIn ? padding.left : 0)
+			.attr("width", zoomedIn ? wid - padding.left - padding.right : wid)
+			.attr("height", hei);
+		zoomResetLinks().toggle(zoomedIn);
+
+		//Calculate the horizontal center of the rendering area for later use
+		var visCenter = (wid - padding.left - padding.right) / 2 + padding.left;
+
+		//####redraw the Year Ticks
+		//The tick values are recalculated every time, for the current range of years (which changes when zooming) and width (the
+		//narrower the visualization, the fewer the ticks; see `tickCount`). Each tick is keyed by its year, so that:
+		//
+		//1. ticks that are still wanted stay where they are, and just move to their new positions
+		//2. new ticks (`enter()`) start out at their new position, invisible, and fade in
+		//3. ticks that are no longer wanted (`exit()`) fade out and are then removed
+		//
+		//The ticklines are shown either at the tick values, bunched up in the middle,
+		//       or all the way to the left; the top and bottom are the height of the
+		//       container minus the padding
+		var ticks = scales.years.ticks(tickCount()).filter(function(d) {
+			return d % 1 == 0;
+		});
+		var tickX = function(d) {
+			if (controls.display == "timeline" || controls.display == "stream")
+				return scales.years(d);
+			else if (controls.display == "centered")
+				return visCenter;
+			else
+				return padding.left;
+		};
 
-//##Initial Render (called only once)
-/************************************************************
- * Initial rendering of the vis
- ***********************************************************/
-function drawStarting() {
-
-	//###The Main *rect* Containing the Visualization
-	
-	//1. Create a new [svg `rect` element](http://www.w3.org/TR/SVG/shapes.html#RectElement) under the main visualization element
-	//2. Set its CSS class to "background"
-	//3. Set its `x` attribute to 0
-	//4. Set its `y` attribute to 0
-	//5. Set its width to the current window width (as calculated in `setVisSize()`)
-	//6. Set its height to the current window height (as calculated in `setVisSize()`)
-	vis.append("svg:rect")
-		.attr("class", "background")
-		.attr("x", 0)
-		.attr("y", 0)
-		.attr("width", wid)
-		.attr("height", hei);
-
-	//### Initialize the Year Ticks
-	//1. Select all of the `line` elements (which won't exist yet)
-	//2. Attach data returned from the [D3 ticks function](https://github.com/mbostock/d3/wiki/Quantitative-Scales#wiki-linear_ticks); there will be 10 uniformly-spaced values in the dataset
-	//3. Begin the process for what to do with new data (the `enter()` call)
-	//4. For each new one, append an [svg `line` element](http://www.w3.org/TR/SVG/shapes.html#LineElement)
-	//5. Set the CSS `class` for this line to "tickLine"
-	//6. Set the `x1` attribute for the line to the left-most position in the visualization
-	//7. Set the `x2` attribute for the line to the left-most position in the visualization
-	//8. Set the `y1` attribute for the line to the yop-most position in the visualization
-	//9. Set the `y2` attribute for the line to the bottom-most position in the visualization
-	
-	vis.selectAll("line")
-		.data(scales.years.ticks(10))
-		.enter()
+		var tickLines = vis.select("g.ticks").selectAll("line.tickLine")
+			.data(ticks, String);
+		tickLines.enter()
 			.append("svg:line")
 				.attr("class", "tickLine")
-				.attr("x1", padding.left)
-				.attr("x2", padding.left)
+				.attr("x1", tickX)
+				.attr("x2", tickX)
 				.attr("y1", padding.top)
-				.attr("y2", hei - padding.bottom);
+				.attr("y2", hei - padding.bottom)
+				.style("stroke-opacity", 0);
+		tickLines.exit()
+			.transition().duration(duration)
+				.style("stroke-opacity", 0)
+				.remove();
+		tickLines.transition().duration(duration)
+				.attr("x1", tickX)
+				.attr("x2", tickX)
+				.attr("y1", padding.top)
+				.attr("y2", hei - padding.bottom)
+				.style("stroke-opacity", 1);
+
+		//####redraw the Group Lanes
+		//The groups are joined to the `g.group` elements by their name, the same way as the empires are below (there are none when
+		//the bars aren't grouped). Each one has a `rect.lane` behind its bars, and a header with the group's name and subtotals,
+		//which collapses or expands the group when clicked
+		var lanes = vis.select("g.groups").selectAll("g.group")
+			.data(controls.group != "none" && controls.display != "stream" ? groups : [], function(group) {
+					return group.key;
+				});
 
-	//### Empire Containers
-	//
-	//1. Select all of the `g` elements
-	//2. Attach the `data` to these elements
-	//3. Begin the process for what to do with new data (the `enter()` call)
-	//4. For each new one, append an [svg `g` element](http://www.w3.org/TR/SVG/struct.html#Groups) 
-	//5. Set the CSS `class` of the element to "barGroup"
-	//6. Set the `index` attribute for use later when the bar is clicked and we need to know which one it was
-	//7. Set the `transform` attribute to be a translation to where the left is always
-	//        the far-most left, and the y location depends on the data row; the left position will
-	//        will be modified each time in the redraw method by transition calls based on which options are chosen
-	vis.selectAll("g")
-		.data(data)
-		.enter()
+		var enteringLanes = lanes.enter()
+			.append("svg:g")
+				.attr("class", "group")
+				.attr("transform", laneTransform)
+				.style("opacity", 0);
+		enteringLanes.append("svg:rect")
+			.attr("class", "lane")
+			.attr("x", 0)
+			.attr("y", 0)
+			.attr("width", wid)
+			.attr("height", laneHeight);
+		var headers = enteringLanes.append("svg:g")
+			.attr("class", "groupHeader")
+			.on("click", function(group) {
+					chart.collapse(group.key);
+				});
+		headers.append("svg:rect")
+			.attr("x", 0)
+			.attr("y", 0)
+			.attr("width", wid)
+			.attr("height", options.groupHeaderHeight);
+		headers.append("svg:text")
+			.attr("class", "groupLabel")
+			.attr("x", padding.left)
+			.attr("y", options.groupHeaderHeight / 2)
+			.attr("dy", ".35em");
+
+		lanes.exit()
+			.transition().duration(duration)
+				.style("opacity", 0)
+				.remove();
+
+		lanes.order();
+		lanes.select("text.groupLabel")
+			.text(groupLabel);
+		lanes.select("g.groupHeader rect")
+			.attr("width", wid);
+		lanes.transition().duration(duration)
+				.style("opacity", 1)
+				.attr("transform", laneTransform);
+		lanes.select("rect.lane")
+			.transition().duration(duration)
+				.style("fill-opacity", function(group, i) {
+						return i % 2 ? .06 : .03;
+					})
+				.attr("width", wid)
+				.attr("height", laneHeight);
+
+		//####redraw the Streamgraph
+		//The layers are keyed by the name of their empire, like the bars; they are only there in the "stream" display (the bars
+		//are hidden then), and clicking on one shows the InfoBox for its empire
+		var streamArea = d3.svg.area()
+			.x(function(v) {
+					return scales.years(v.x);
+				})
+			.y0(function(v) {
+					return scales.stream(v.y0);
+				})
+			.y1(function(v) {
+					return scales.stream(v.y0 + v.y);
+				});
+		var layers = vis.select("g.stream").selectAll("path.streamLayer")
+			.data(controls.display == "stream" ? streamLayers : [], function(layer) {
+					return layer.row[fields.name];
+				});
+		layers.enter()
+			.append("svg:path")
+				.attr("class", "streamLayer")
+				.attr("d", function(layer) {
+						return streamArea(layer.values);
+					})
+				.style("fill-opacity", 0)
+				.on("click", function(layer) {
+						showInfoBox(d3.event, layer.row);
+					})
+				.call(hoverEvents, function(layer) {
+						return layer.row;
+					});
+		layers.exit()
+			.transition().duration(duration)
+				.style("fill-opacity", 0)
+				.remove();
+		layers.order();
+		layers.transition().duration(duration)
+				.attr("d", function(layer) {
+						return streamArea(layer.values);
+					})
+				.style("fill-opacity", function(layer, i) {
+						return i % 2 ? .6 : .85;
+					});
+		if (!hasYearCursor())
+			showYear(null);
+
+		//####Join the Data to the Empire Containers
+		//
+		//1. Select all of the `g.barGroup` elements (in the `g.bars` group)
+		//2. Attach the `data` to these elements, keyed by the name of each empire, so that the same empire always gets the same element
+		//3. For each new empire (the `enter()` call), append an [svg `g` element](http://www.w3.org/TR/SVG/struct.html#Groups)
+		//       with the CSS `class` "barGroup", already at its place but invisible (it fades in below), and set up its click and key events
+		//4. Each empire that is gone (the `exit()` call) fades out, and is then removed
+		//
+		//This way the data can be changed at any time (by loading a new file, filtering, editing, ...), and `redraw` animates the change
+		var bars = vis.select("g.bars").selectAll("g.barGroup")
+			.data(data, function(d) {
+					return d[fields.name];
+				});
+
+		var entering = bars.enter()
 			.append("svg:g")
 				.attr("class", "barGroup")
-				.attr("index", function(d, i) {return i;})
-				.attr("transform", function(d, i) {
-					return "translate(" + padding.left + ", " + scales.indexes(i) + ")";
-				 });
-
-	// ### Bars
-	//1. Select all of the `g.barGroup` elements (these will have been created in the call above, and have the `data` attached to them)
-	//2. For each one, append an [svg `rect`](http://www.w3.org/TR/SVG/shapes.html#RectElement) element
-	//3. For this new rect, set its class to `bar`
-	//4. Set the x attribute to 0
-	//5. Set the y attribute to 0
-	//6. Set the width of the rect to a function that returns the (scaled) distance between the end and start years for the data row
-	//7. Set the height attribute to the initial default barHeight above (this will be reset in the redraw method)
-	vis.selectAll("g.barGroup")
-			.append("svg:rect")
-				.attr("class", "bar")
-				.attr("x", 0)
-				.attr("y", 0)
-				.attr("width", function(d) {
-							return scales.years(d.End) - scales.years(d.Start);
-							})
-				.attr("height", barHeight);
-
-	// ###Empire Peak Lines
-	//1. Select all `g.barGroup` elements
-	//2. For each one, append an [svg `line` element](http://www.w3.org/TR/SVG/shapes.html#LineElement)
-	//3. Set the CSS class for this new line to "peakLine"
-	//4. Set the x1 attribute for the line to be a function that returns where the peak for that data point fits during the time period for the empire
-	//5. Set the x2 attribute for the line to be the same function as for x1
-	//6. Set the y1 attribute to be 0 (which is the top of the barGroup the line is in)
-	//7. Set the y2 attribute for the line to be the current generic barHeight (this will be reset in the redraw method based on the current options)
-	vis.selectAll("g.barGroup")
-			.append("svg:line")
-				.attr("class", "peakLine")
-				.attr("x1", function(d) {
-						return scales.years(d.Peak) - scales.years(d.Start);
+				.attr("transform", barTransform)
+				.style("opacity", 0)
+				.attr("role", "button")
+				.on("click", function(d) {
+						if (!justTapped())
+							showInfoBox(d3.event, d);
 					})
-				.attr("x2", function(d) {
-						return scales.years(d.Peak) - scales.years(d.Start);
+				.on("keydown", function(d) {
+						barKey(d3.event, d, this);
 					})
-				.attr("y1", 0)
-				.attr("y2", barHeight);
-
-	//###Bar Labels
-	//1. Select all of the `g.barGroup` elements
-	//2. For each one, append an [svg `text` element](http://www.w3.org/TR/SVG/text.html#TextElement)
-	//3. Set the CSS class for this new element to be "barLabel"
-	//4. Set the x value to be a function that returns the width of the bar
-	//5. Set the y atrribute of the `text` element to be 0
-	//6. Set the `dx` attribute to 5 pixels to give a little space next to the bar
-	//7. Set the `dy` property to be a tad down from 0 at 0.35em
-	//8. Set the inline css style `fill` to be the color #0ff IF this empire has contiguous = false
-	//9. Set the text itself to be d.name (will be actual contents of the tag itself)
-	vis.selectAll("g.barGroup")
-			.append("svg:text")
-				.attr("class", "barLabel")
-				.attr("x", function(d) {
-						return scales.years(d.End) - scales.years(d.Start);
+				.on("focus", function(d) {
+						focused = d;
 					})
-				.attr("y", 0)
-				.attr("dx", 5)
-				.attr("dy", ".35em")
-				.style("fill", function(d) {
-						if (d.Contiguous === false)
-							return "#0ff";
+				.call(hoverEvents, function(d) {
+						return d;
+					});
+
+		bars.exit()
+			.transition().duration(duration)
+				.style("opacity", 0)
+				.remove();
+
+		//Each new `g.barGroup` gets:
+		//
+		//* a hit area: an invisible `rect` with the CSS class "hitArea", around the bar and at least `options.minHitSize` pixels wide,
+		//      to click or tap on
+		//* a bar: an [svg `rect`](http://www.w3.org/TR/SVG/shapes.html#RectElement) with the CSS class "bar", as wide as the empire lasted,
+		//      starting with no height (it grows to its height below)
+		//* a growth curve: an [svg `path`](http://www.w3.org/TR/SVG/paths.html) with the CSS class "growth", for the "growth" `controls.shape`
+		//* a peak line: an [svg `line`](http://www.w3.org/TR/SVG/shapes.html#LineElement) with the CSS class "peakLine", where the peak for that empire fits in the bar
+		//* a label: an [svg `text`](http://www.w3.org/TR/SVG/text.html#TextElement) with the CSS class "barLabel", just right of the bar
+		//      (`dx` of 5 pixels to give a little space next to the bar, and `dy` a tad down from 0 at 0.35em)
+		entering.append("svg:rect")
+			.attr("class", "hitArea")
+			.call(hitArea, 0);
+		entering.append("svg:rect")
+			.attr("class", "bar")
+			.attr("x", 0)
+			.attr("y", 0)
+			.attr("width", barWidth)
+			.attr("height", 0);
+		entering.append("svg:path")
+			.attr("class", "growth")
+			.attr("d", function(d) {
+					return growthPath(d, 0);
+				});
+		entering.append("svg:line")
+			.attr("class", "peakLine")
+			.attr("x1", peakX)
+			.attr("x2", peakX)
+			.attr("y1", 0)
+			.attr("y2", 0);
+		entering.append("svg:text")
+			.attr("class", "barLabel")
+			.attr("x", barWidth)
+			.attr("y", 0)
+			.attr("dx", 5)
+			.attr("dy", ".35em");
+
+		//Keep the elements in the same order as `data` (new ones are appended at the end)
+		bars.order();
+
+		//####redraw the Empire Containers
+		//The label's text and color are set every time, as the name or contiguity of an empire can change; the color is #0ff if
+		//the empire is not contiguous. `select` (rather than `selectAll`) is used for the elements inside of each container, so that
+		//they pick up the container's (possibly new) data
+		bars.select("text.barLabel")
+			.style("fill", function(d) {
+					if (d[fields.contiguous] === false)
+						return "#0ff";
+				})
+			.text(function(d) {
+					return d[fields.name];
+				});
+
+		//Only one bar at a time can be tabbed to (the others are reached with the arrow keys; see `barKey`), and each one is
+		//described for screen readers by its `aria-label`
+		bars.attr("aria-label", ariaLabel);
+		updateTabIndex();
+
+		//The hidden ones (including the ones in collapsed groups) can't be clicked on (`pointer-events` can't be transitioned, so it is set right away)
+		bars.style("pointer-events", function(d) {
+					return isHidden(d) ? "none" : null;
+				})
+			.transition().duration(duration)
+				.style("fill-opacity", function(d) {
+						if (noPopulation(d))
+							return .4;
+						else
+							return 1;
+					})
+				.style("opacity", function(d) {
+						return isHidden(d) ? 0 : 1;
+					})
+				.attr("transform", barTransform);
+
+		//####redraw the Bars
+		//The placeholder bars are filled with the hatch pattern (which can't be transitioned either). With the "growth" `controls.shape`
+		//the bars are see-through, but they are still there to be clicked on
+		var fillOpacity = function(d) {
+			if (noPopulation(d) && controls.missing != "placeholder")
+				return .25;
+			else
+				return .75;
+		};
+		var fill = function(d) {
+			return noPopulation(d) && controls.missing == "placeholder" ? "url(#" + hatchId + ")" : null;
+		};
+		bars.select("rect.bar")
+			.style("fill", fill)
+			.transition().duration(duration)
+				.style("fill-opacity", function(d) {
+						return controls.shape == "growth" ? 0 : fillOpacity(d);
 					})
-				.text(function(d) {
-						return d.Name;
+				.attr("width", barWidth)
+				.attr("height", barHeightOf);
+
+		//####redraw the Hit Areas
+		bars.select("rect.hitArea")
+			.transition().duration(duration)
+				.call(hitArea, null);
+
+		//####redraw the Growth Curves
+		bars.select("path.growth")
+			.style("fill", fill)
+			.transition().duration(duration)
+				.style("fill-opacity", function(d) {
+						return controls.shape == "growth" ? fillOpacity(d) : 0;
+					})
+				.attr("d", function(d) {
+						return growthPath(d, barHeightOf(d));
+					});
+
+		//####redraw the Bar Labels
+		var labelHeight = 0;
+		bars.select("text.barLabel")
+			.transition().duration(duration)
+				.attr("x", barWidth)
+				.attr("y", function(d) {
+						return barHeightOf(d) / 2 - labelHeight;
 					});
 
-	// ###Tick Labels
-	//1. Select all of the `text.rule` elements (which might not exist yet, which is ok as they can be created after the data has been added)
-	//2. Attach the data to these elements, being the 10 tick marks
-	//3. Indicate what to do for new data
-	//4. For each new data, add an [svg `text` element](http://www.w3.org/TR/SVG/text.html#TextElement)
-	//5. Set its CSS class to "rule"
-	//6. Set the x attribute to padding.left for each one (will be reset in redraw based on other options)
-	//7. Set the y attribute to be a constant 20 (this is relative to the containing element)
-	//8. Set the dy attribute to 0 (maybe this was twiddled at some point)
-	//9. Set the `tedxt-anchor` attribute to "middle" to center the text
-	//10. Set the text for the element as the function that returns the formatted year for the data point
-	//11. Set the initial opacity to 0; this will be transitioned to the proper value in the redraw function
-	vis.selectAll("text.rule")
-		.data(scales.years.ticks(10))
-		.enter()
+		//####redraw the Peak Lines
+		bars.select("line.peakLine")
+			.transition().duration(duration)
+				.attr("x1", peakX)
+				.attr("x2", peakX)
+				.attr("y2", barHeightOf);
+
+		//####redraw the Tick Labels
+		//These go through the same enter/update/exit as the tick lines; they are only visible in the "timeline" and "stream" displays.
+		//If the range of years goes back before year 0, every label says which era it is in
+		var era = scales.years.domain()[0] < 0;
+		var tickLabels = vis.select("g.rules").selectAll("text.rule")
+			.data(ticks, String);
+		tickLabels.enter()
 			.append("svg:text")
 				.attr("class", "rule")
-				.attr("x", padding.left)
+				.attr("x", tickX)
 				.attr("y", 20)
 				.attr("dy", 0)
 				.attr("text-anchor", "middle")
-				.text(function(d) {
-						return formatYear(d);
-					})
-				.style("fill-opacity",0);
+				.style("fill-opacity", 0);
+		tickLabels.exit()
+			.transition().duration(duration)
+				.style("fill-opacity", 0)
+				.remove();
+		tickLabels.text(function(d) {
+				return empires.formatYear(d, era);
+			})
+			.transition().duration(duration)
+				.attr("x", tickX)
+				.style("fill-opacity", function(d) {
+						if (controls.display == "timeline" || controls.display == "stream") {
+							return 1;
+						}
+						else {
+						return 0;
+					}
+					});
 
-}
+		//####redraw the Overview Strip
+		if (overview)
+			redrawOverview();
 
-//***
+		//####redraw the Data Table
+		//(not while zooming, when `redraw` is called with no transitions, as the table doesn't depend on the range of years shown)
+		if (duration)
+			showDataTable();
 
-//##redraw
-/************************************************************
- * Redraw the vis with transition
- ***********************************************************/
-
-//Redraw everything, using a transition for each thing rendered every time
-
-//Things are rendered from back to front:
-
-//* year ticklines ("line.tickline")
-//* empire containers ("g")
-//* bars ("g.barGroup rect.bar")
-//* bar labels ("g.barGroup text.barLabel")
-//* peak lines ("g.barGroup line.peakLine")
-//* tick labels ("text.rule")
-function redraw() {
-
-	$("#infobox").hide();
-
-	//Calculate the horizontal center of the rendering area for later use
-	var visCenter = (wid - padding.left - padding.right) / 2 + padding.left;
-
-	//###redraw the Year Ticks
-	//The ticklines are shown either at the specified tick intervals, bunched up in the middle,
-	//       or all the way to the left; the top and bottom are the height of the
-	//       container minus the padding
-	vis.selectAll("line.tickLine")
-		.transition().duration(transitionDuration)
-			.attr("x1", function(d, i) {
-					if (controls.display == "timeline")
-						return scales.years(d);
-					else if (controls.display == "centered")
-						return visCenter;
+		//####redraw the Legend
+		var legend = vis.select("g.legend");
+		legend.selectAll("g.legendItem rect")
+			.style("fill", function(d) {
+					return d == "missing" && controls.missing == "placeholder" ? "url(#" + hatchId + ")" : null;
+				})
+			.style("fill-opacity", function(d) {
+					if (d == "known" || controls.missing == "placeholder")
+						return .75;
+					else if (controls.missing == "default" || controls.missing == "impute")
+						return .25;
 					else
-						return padding.left;
+						return 0;
+				});
+		legend.selectAll("g.legendItem text")
+			.text(function(d) {
+					return d == "known" ? "population data" : missingDescription();
+				});
+		legend.transition().duration(duration)
+			.attr("transform", "translate(" + (wid - padding.right + 10) + ", 8)")
+			.style("fill-opacity", controls.height == "population" ? 1 : 0);
+
+		//####redraw the Pinned InfoBox
+		showPinned(duration);
+
+	}
+
+	//The overview strip always shows the full range of years, with the empires stacked in the same order as in the chart;
+	//the brush is set to `zoomWindow` (or cleared, if not zoomed in)
+	function redrawOverview() {
+		var overviewHeight = options.overviewHeight;
+		var x = d3.scale.linear()
+			.domain(yearExtent)
+			.range([padding.left, wid - padding.right]);
+		var y = d3.scale.linear()
+			.domain([0, Math.max(data.length - 1, 1)])
+			.range([4, overviewHeight - 16]);
+
+		overview.attr("width", wid)
+			.attr("height", overviewHeight);
+		overview.select(".background")
+			.attr("width", wid)
+			.attr("height", overviewHeight);
+
+		var lines = overview.select("g.overviewLines").selectAll("line.overviewLine")
+			.data(data);
+		lines.enter()
+			.append("svg:line")
+				.attr("class", "overviewLine");
+		lines.exit().remove();
+		lines.attr("x1", function(d) {
+					return x(d[fields.start]);
 				})
 			.attr("x2", function(d) {
-					if (controls.display == "timeline")
-						return scales.years(d);
-					else if (controls.display == "centered")
-						return visCenter;
-					else
-						return padding.left;
+					return x(d[fields.end]);
 				})
-			.attr("y1", padding.top)
-			.attr("y2", hei - padding.bottom);
-
-	//###redraw the Empire Containers
-	vis.selectAll("g")
-		.transition().duration(transitionDuration)
-			.style("fill-opacity", function(d) {
-					if (controls.height == "population" && isNaN(d.Percent_World_Population))
-						return .4;
-					else
-						return 1;
+			.attr("y1", function(d, i) {
+					return y(i);
 				})
-			.attr("transform", function(d, i) {
-				var tx, ty;
-				if (controls.display == "timeline")
-					tx = scales.years(d.Start);
-				else if (controls.display == "centered")
-					tx = visCenter - (scales.years(d.Peak) - scales.years(d.Start));
-				else
-					tx = padding.left;
+			.attr("y2", function(d, i) {
+					return y(i);
+				});
 
-				if (controls.height == "area")
-					ty = d.area_y;
-				else if (controls.height == "population")
-					ty = d.popPercent_y;
-				else
-					ty = scales.indexes(i);
-				return "translate(" + tx + ", " + ty + ")";
+		var era = yearExtent[0] < 0;
+		var rules = overview.selectAll("text.rule")
+			.data(x.ticks(tickCount()).filter(function(d) {
+				return d % 1 == 0;
+			}));
+		rules.enter()
+			.append("svg:text")
+				.attr("class", "rule")
+				.attr("text-anchor", "middle");
+		rules.exit().remove();
+		rules.attr("x", x)
+			.attr("y", overviewHeight - 3)
+			.text(function(d) {
+					return empires.formatYear(d, era);
 				});
 
-	//###redraw the Bars
-	vis.selectAll("g.barGroup rect.bar")
-		.transition().duration(transitionDuration)
-			.style("fill-opacity", function(d) {
-					if (controls.height == "population" && isNaN(d.Percent_World_Population))
-						return .25;
-					else
-						return .75;
+		brush.x(x);
+		if (zoomWindow)
+			brush.extent(zoomWindow);
+		else
+			brush.clear();
+		overview.select("g.brush")
+			.call(brush)
+			.selectAll("rect")
+				.attr("y", 0)
+				.attr("height", overviewHeight - 12);
+	}
+
+	//####Bar Helpers
+	//These are used by `redraw` for placing and sizing the bars
+
+	//Whether a bar is an empire without population data, while in the "population" height mode
+	function noPopulation(d) {
+		return controls.height == "population" && hasNoPopulation(d);
+	}
+
+	//Whether a bar is not shown at all: it is an empire without population data that is hidden, or it is in a collapsed group
+	//(or all of the bars are hidden, for the "stream" display)
+	function isHidden(d) {
+		return (noPopulation(d) && controls.missing == "hide") || isCollapsed(d) || controls.display == "stream";
+	}
+
+	//Where the `g.barGroup` for an empire goes: the left is where the empire starts, or is such that its peak is in the center,
+	//or is the far-most left, depending on `controls.display`; the top depends on `controls.height` (see `processData`)
+	function barTransform(d) {
+		var tx, ty;
+		var visCenter = (wid - padding.left - padding.right) / 2 + padding.left;
+		if (controls.display == "timeline")
+			tx = scales.years(d[fields.start]);
+		else if (controls.display == "centered")
+			tx = visCenter - (scales.years(d[fields.peak]) - scales.years(d[fields.start]));
+		else
+			tx = padding.left;
+
+		if (controls.height == "area")
+			ty = d.area_y;
+		else if (controls.height == "population")
+			ty = d.popPercent_y;
+		else if (controls.height == "packed")
+			ty = d.packed_y;
+		else
+			ty = d.fixed_y;
+		return "translate(" + tx + ", " + ty + ")";
+	}
+
+	//The (scaled) distance between the end and start years of an empire
+	function barWidth(d) {
+		return scales.years(d[fields.end]) - scales.years(d[fields.start]);
+	}
+
+	//Where the peak of an empire is, relative to the start of its bar
+	function peakX(d) {
+		return scales.years(d[fields.peak]) - scales.years(d[fields.start]);
+	}
+
+	//The height of a bar, depending on `controls.height`
+	function barHeightOf(d) {
+		if (isCollapsed(d))
+			return 0;
+		else if (controls.height == "area")
+			return scales.areas(d[fields.area]);
+		else if (controls.height == "population")
+			return d.popPercent_height;
+		else if (controls.height == "packed")
+			return laneBarHeight;
+		else
+			return barHeight;
+	}
+
+	//Size and place the hit area of a bar (`rect.hitArea`): the bar itself, made at least `options.minHitSize` pixels wide (around its middle),
+	//so that very short empires can still be hit. It isn't made any higher than the bar, as every bar fills its own lane (or row of the
+	//stack) from top to bottom, so a higher hit area would cover its neighbours. It is called with the selection or transition,
+	//and `height` is the bar's height (or `null` for its current one)
+	function hitArea(selection, height) {
+		var min = options.minHitSize;
+		selection.attr("x", function(d) {
+					return Math.min(0, (barWidth(d) - min) / 2);
+				})
+			.attr("y", 0)
+			.attr("width", function(d) {
+					return Math.max(barWidth(d), min);
 				})
 			.attr("height", function(d) {
-					if (controls.height == "area")
-						return scales.areas(d.Land_area_million_km2);
-					else if (controls.height == "population")
-						return scales.popPercents(d.Percent_World_Population);
-					else
-						return barHeight;
+					return height == null ? barHeightOf(d) : height;
 				});
+	}
 
-	//###redraw the Bar Labels
-	var labelHeight = 0;
-	vis.selectAll("g.barGroup text.barLabel")
-		.transition().duration(transitionDuration)
-			.attr("y", function(d) {
-					if (controls.height == "area")
-						return scales.areas(d.Land_area_million_km2) / 2 - labelHeight;
-					else if (controls.height == "population")
-						return scales.popPercents(d.Percent_World_Population) / 2 - labelHeight;
-					else
-						return barHeight / 2 - labelHeight;
-				});
+	//The outline of the growth curve of an empire (see `empires.data.growth`), `height` pixels high at its peak; like the bar,
+	//it starts at the left of its `g.barGroup`, and it is centered on the middle of the bar
+	function growthPath(d, height) {
+		var left = scales.years(d[fields.start]);
+		return d3.svg.area()
+			.x(function(point) {
+					return scales.years(point[0]) - left;
+				})
+			.y0(function(point) {
+					return (1 - point[1]) * height / 2;
+				})
+			.y1(function(point) {
+					return (1 + point[1]) * height / 2;
+				})(empires.data.growth(d, fields));
+	}
 
-	//###redraw the Peak Lines
-	vis.selectAll("g.barGroup line.peakLine")
-		.transition().duration(transitionDuration)
-			.attr("y2", function(d) {
-					if (controls.height == "area")
-						return scales.areas(d.Land_area_million_km2);
-					else if (controls.height == "population")
-						return scales.popPercents(d.Percent_World_Population);
-					else
-						return barHeight;
-				});
+	//####Group Lane Helpers
 
-	//###redraw the Tick Labels
-	vis.selectAll("text.rule")
-		.transition().duration(transitionDuration)
-			.attr("x", function(d) {
-					if (controls.display == "timeline")
-						return scales.years(d);
-					else if (controls.display == "centered")
-						return visCenter;
-					else
-						return padding.left;
+	//Where the lane of a group starts (at its header), and how high it is (including the header), for the current `controls.height`
+	function laneTransform(group) {
+		return "translate(0, " + group.y[controls.height] + ")";
+	}
+
+	function laneHeight(group) {
+		return group.height[controls.height] + options.groupHeaderHeight;
+	}
+
+	//The header of a group: whether it is collapsed, its name, and its subtotals (with their share of the totals; the population is
+	//left out when none of the group's empires have any population data)
+	function groupLabel(group) {
+		var label = (collapsed[group.key] ? "\u25B8 " : "\u25BE ") + group.key + ": " + plural(group.rows.length, "empire");
+		if (totals.area)
+			label += ", " + d3.format(",.1f")(group.area) + " " + options.units.area + " (" + d3.format(".0%")(group.area / totals.area) + ")";
+		if (totals.population && group.population)
+			label += ", " + d3.format(",.0f")(group.population) + " " + options.units.population + " (" + d3.format(".0%")(group.population / totals.population) + ")";
+		return label;
+	}
+
+	//How many ticks to ask `scales.years.ticks` for: one for every `options.tickSpacing` pixels, but at least two
+	//(D3 picks "nice" values close to this number, so it is only a rough guide)
+	function tickCount() {
+		return Math.max(2, Math.floor((wid - padding.left - padding.right) / options.tickSpacing));
+	}
+
+	//How the empires without population data are drawn, for the legend
+	function missingDescription() {
+		if (controls.missing == "default")
+			return "no data: drawn at " + Math.round(defaultPopPercent * 100) + "%";
+		else if (controls.missing == "impute")
+			return "no data: from neighbours";
+		else if (controls.missing == "placeholder")
+			return "no data: unknown";
+		else if (controls.missing == "zero")
+			return "no data: zero height";
+		else
+			return "no data: hidden (" + data.filter(hasNoPopulation).length + ")";
+	}
+
+	//***
+
+	//###Configure Interaction Events (called only once)
+
+	/************************************************************
+	 * Add interaction events after initial drawing
+	 ***********************************************************/
+	function addInteractionEvents() {
+
+		//The click event on each bar, which shows the InfoBox specific to that bar, is set up by `redraw` as the bar is made.
+		//Configure so that a click that is NOT on a bar will (ultimately) hide the InfoBox (the year cursor, which is drawn over the bars,
+		//lets clicks through to whatever is under it)
+		$(vis.node()).find(".background").click(function(e) {
+			if (!justTapped())
+				showInfoBox(e, null);
+		});
+
+		addTouchEvents();
+
+		//The Escape key closes the InfoBox, wherever the focus is
+		$(document).bind("keydown.empires" + id, function(e) {
+			if (e.keyCode == 27)
+				showInfoBox(e, null);
+		});
+
+		//In the "timeline" and "stream" displays, moving the mouse over the chart shows which empires are around at the year under it (see `showYear`)
+		vis.on("mousemove.year", function() {
+			if (hasYearCursor())
+				showYear(scales.years.invert(d3.mouse(this)[0]));
+		});
+		$(vis.node()).bind("mouseleave.empires" + id, function() {
+			showYear(null);
+		});
+
+
+	}
+
+	//***
+	//###Show InfoBox
+	/************************************************************
+	 * Display info box for empire d, at mouse
+	 ***********************************************************/
+	//Show the InfoBox for a particular empire `d` (one of the rows of `data`), pinned open, or simply hide the InfoBox
+	//if `d` is null (or if it is already pinned open for `d`, so that a second click closes it again)
+	//(this is what the user does, so it goes into the url's hash, if `options.hash` is on)
+	function showInfoBox(e, d) {
+
+		if (d == null || d === pinned)
+			hideInfoBox();
+		else
+			pinInfoBox(e, d);
+		saveState(true);
+
+	}
+
+	//Show the InfoBox for `d` at the page coordinates of `e`, pinned open
+	function pinInfoBox(e, d) {
+		clearTimeout(hoverTimer);
+		clearTimeout(pinTimer);
+		pinned = d;
+		fillInfoBox(d, e.pageX, e.pageY, true);
+	}
+
+	//Show the InfoBox that is pinned open (if any) again after a redraw, once the bars have moved to their new places `delay` milliseconds
+	//later; it is unpinned if its empire isn't drawn any more (it is filtered out, say, or its group is collapsed)
+	function showPinned(delay) {
+		clearTimeout(pinTimer);
+		if (pinned == null)
+			return;
+		if (data.indexOf(pinned) < 0 || (controls.display != "stream" && isHidden(pinned))) {
+			pinned = null;
+			return;
+		}
+		pinTimer = setTimeout(function() {
+			var node = pinned && vis && nodeOf(pinned);
+			if (node)
+				pinInfoBox(barPoint(node), pinned);
+		}, delay);
+	}
+
+	//The element an empire `d` is drawn as: its layer in the "stream" display, otherwise its `g.barGroup`
+	function nodeOf(d) {
+		if (controls.display == "stream")
+			return vis.selectAll("path.streamLayer").filter(function(layer) {
+				return layer.row === d;
+			}).node();
+		return vis.selectAll("g.barGroup").filter(function(row) {
+			return row === d;
+		}).node();
+	}
+
+	//Hide the InfoBox, whether it is pinned open or just a tooltip
+	function hideInfoBox() {
+		clearTimeout(hoverTimer);
+		clearTimeout(pinTimer);
+		pinned = null;
+		infobox.hide();
+	}
+
+	//Set up the hover events of the bars or stream layers in `selection`; `row` gives the empire of each of them.
+	//When the mouse rests on one of them for `options.tooltipDelay`, its InfoBox is shown as a tooltip, which goes again as soon as
+	//the mouse leaves it. Nothing happens while an InfoBox is pinned open
+	function hoverEvents(selection, row) {
+		if (options.tooltipDelay == null)
+			return;
+		selection
+			.on("mouseover.tooltip", function(d) {
+					//(moving between the parts of a bar is not leaving it)
+					var e = d3.event;
+					if (isInside(e.relatedTarget, this))
+						return;
+					hoverAt = e;
+					clearTimeout(hoverTimer);
+					hoverTimer = setTimeout(function() {
+						if (pinned == null && vis)
+							fillInfoBox(row(d), hoverAt.pageX, hoverAt.pageY);
+					}, options.tooltipDelay);
 				})
-			.attr("y", 20)
-			.attr("dy", 0)
-			.style("fill-opacity", function(d) {
-					if (controls.display == "timeline") {
-						return 1;
-					}
-					else {
-					return 0;
-				}		
+			.on("mousemove.tooltip", function() {
+					hoverAt = d3.event;
+				})
+			.on("mouseout.tooltip", function() {
+					if (isInside(d3.event.relatedTarget, this))
+						return;
+					clearTimeout(hoverTimer);
+					if (pinned == null)
+						infobox.hide();
 				});
+	}
 
-}
+	//Whether `node` is `parent` or one of its descendants
+	function isInside(node, parent) {
+		while (node && node !== parent)
+			node = node.parentNode;
+		return node === parent;
+	}
 
-//***
+	//Fill the InfoBox in with the details of the empire `d`, and show it next to the page coordinates `x`, `y`
+	//(as a tooltip, or pinned open if `pin` is true; a pinned one can have an "Edit" link, as the mouse can get to it)
+	function fillInfoBox(d, x, y, pin) {
+
+		//Build up the lines of the InfoBox, under the name
+		var info = [];
+		info.push(empires.formatYear(d[fields.start]) + " - " + empires.formatYear(d[fields.end]) + " (" + d.derived.span + " years)");
+		if (!isNaN(d[fields.area]))
+			info.push("Peak (" + empires.formatYear(d[fields.peak]) + "): " + d[fields.area] + " " + options.units.area);
+		if (!isNaN(d[fields.population]))
+			info.push(d[fields.population] + " " + options.units.population + " in " + empires.formatYear(d[fields.populationYear]));
+		else
+			info.push("no population data available");
+		if (!hasNoPopulation(d))
+			info.push("(" + Math.round(d.derived.popPercent * 100) + "% of world population" + (d.derived.popPercentSource == "computed" ? "" : ", as given in the data") + ")");
+		else if (controls.missing == "default")
+			info.push("(drawn as " + Math.round(defaultPopPercent * 100) + "% of world population, the default)");
+		else if (controls.missing == "impute" && !isNaN(d.derived.popPercentImputed))
+			info.push("(drawn as " + Math.round(d.derived.popPercentImputed * 100) + "% of world population, imputed from neighbouring empires)");
+		else if (controls.missing == "placeholder")
+			info.push("(drawn as an unknown share of world population)");
+		else
+			info.push("(drawn with zero height)");
+		if (d[fields.contiguous] === false)
+			info.push("non-contiguous");
+
+		//The timeline of the empire's samples, if it has any
+		if (d.derived.samples && d.derived.samples.length) {
+			info.push("Measurements:");
+			d.derived.samples.forEach(function(sample) {
+				var sizes = [];
+				if (!isNaN(sample.area))
+					sizes.push(sample.area + " " + options.units.area);
+				if (!isNaN(sample.population))
+					sizes.push(sample.population + " " + options.units.population);
+				info.push("\u00a0\u00a0" + empires.formatYear(sample.year) + ": " + (sizes.length ? sizes.join(", ") : "no sizes"));
+			});
+		}
 
-//##Configure Interaction Events (called only once)
+		//1. Put the name and the `info` lines into the InfoBox div element; they come straight from the data (which may have
+		//      been entered by anyone), so they are added as text rather than html
+		//2. Then show it next to (`x`, `y`)
+		infobox.empty().toggleClass("pinned", !!pin);
+		$("<span class='title'></span>").text(String(d[fields.name])).appendTo(infobox);
+		info.forEach(function(line) {
+			infobox.append("<br />").append(document.createTextNode(line));
+		});
+		if (pin && options.editor)
+			$("<a class='editLink' tabindex='0' role='button'>Edit</a>").bind("click keydown", function(e) {
+				if (e.type == "click" || e.keyCode == 13 || e.keyCode == 32) {
+					openEditor(d);
+					return false;
+				}
+			}).appendTo($("<div></div>").appendTo(infobox));
+		placeNear(infobox, x, y);
 
-/************************************************************
- * Add interaction events after initial drawing
- ***********************************************************/
-function addInteractionEvents() {
+	}
 
-	//This will set up the click event on every single bar that was drawn, with the result that if the user clicks on one of the
-	//bars, the InfoBox specific to that bar will be shown
-	$("g.barGroup").click(function(e) {
-		showInfoBox(e, $(this).attr("index"));
-	});
-	//Configure so that a click that is NOT on a bar will (ultimately) hide the InfoBox
-	$(".vis .background, .vis .mouseLine").click(function(e) {
-		showInfoBox(e, null);
-	});
+	//Show the (absolutely positioned) `box` next to the page coordinates `x`, `y`: it is shown in the corner first, so that it can be measured,
+	//then moved to where it fits in the window (see `empires.placeBox`)
+	function placeNear(box, x, y) {
+		box.css({
+			left : 0,
+			top : 0
+		}).show();
+		var win = $(window);
+		box.css(empires.placeBox([box.outerWidth(), box.outerHeight()], [x, y], {
+			left : win.scrollLeft(),
+			top : win.scrollTop(),
+			width : win.width(),
+			height : win.height()
+		}, options.tooltipGap));
+	}
 
-	//Note: if this will be used on mobile devices, it is probably worth checking out hooking up to touch events rather than
-	// click events for responsiveness purposes.
+	//***
+	//###Edit an Empire
+	//The form for editing an empire goes where its InfoBox was, with an input for each of the `empires.data.editable` fields.
+	//Saving it goes through `chart.edit`; if the data are still wrong after that (e.g. the start is after the end), the form stays open
+	//with the issues listed in it, otherwise it closes. The edits can be saved with the `controls`' export links (see `chart.download`)
+	var editorInputs = [{
+		field : "start",
+		label : "Start"
+	}, {
+		field : "peak",
+		label : "Peak"
+	}, {
+		field : "end",
+		label : "End"
+	}, {
+		field : "area",
+		label : "Area (" + options.units.area + ")"
+	}, {
+		field : "population",
+		label : "Population (" + options.units.population + ")"
+	}, {
+		field : "contiguous",
+		label : "Contiguous"
+	}];
+
+	function openEditor(d) {
+		var offset = infobox.offset();
+		var name = String(d[fields.name]);
+		closeEditor();
+		hideInfoBox();
+
+		//The values go in as the text they would have in the file (see `empires.data.toCSV`)
+		editor = $("<form class='editor' role='dialog'></form>").attr("aria-label", "Edit " + name).appendTo("body");
+		$("<span class='title'></span>").text(name).appendTo(editor);
+		editorInputs.forEach(function(input) {
+			var value = d[fields[input.field]];
+			var label = $("<label></label>").text(input.label).appendTo(editor);
+			if (input.field == "contiguous")
+				$("<select><option value=''>unknown</option><option>Yes</option><option>No</option></select>")
+					.attr("name", input.field)
+					.val(value === true ? "Yes" : value === false ? "No" : "")
+					.appendTo(label);
+			else
+				$("<input size='8'>")
+					.attr("name", input.field)
+					.val(empires.data.isMissing(value) ? "" : String(value))
+					.appendTo(label);
+		});
+		$("<ul class='editorIssues'></ul>").appendTo(editor);
+		$("<button type='submit'>Save</button>").appendTo(editor);
+		$("<button type='button'>Cancel</button>").click(closeEditor).appendTo(editor);
+
+		editor.bind("submit", function() {
+			var changes = {};
+			editorInputs.forEach(function(input) {
+				changes[input.field] = $.trim(editor.find("[name='" + input.field + "']").val());
+			});
+			chart.edit(name, changes);
+
+			var issues = validation.issues.filter(function(issue) {
+				return issue.name == name;
+			});
+			if (!issues.some(function(issue) {
+				return issue.level == "error";
+			})) {
+				closeEditor();
+				return false;
+			}
+			var list = editor.find(".editorIssues").empty();
+			issues.forEach(function(issue) {
+				$("<li></li>").addClass(issue.level).text(issue.message).appendTo(list);
+			});
+			return false;
+		}).bind("keydown", function(e) {
+			if (e.keyCode == 27)
+				closeEditor();
+		});
 
-}
+		placeNear(editor, offset.left, offset.top);
+		editor.find("input").first().focus();
+	}
 
-//***
-//##Show InfoBox
-/************************************************************
- * Display info box for data index i, at mouse
- ***********************************************************/
-//Show the InfoBox for a particular empire, or simply hide the InfoBox
-//if `i` is null
-function showInfoBox(e, i) {
-
-	if (i == null)
-		$("#infobox").hide();
-	else {
-		var d = data[i];
-
-		//Build up the html for the InfoBox
-		var info = "<span class='title'>" + d.Name + "</span>";
-		info += "<br />" + formatYear(d.Start) + " - " + formatYear(d.End);
-		if (!isNaN(d.Land_area_million_km2))
-			info += "<br />" + " Peak (" + formatYear(d.Peak) + "): " + d.Land_area_million_km2 + " million sq km";
-		if (!isNaN(d.Estimated_Population))
-			info += "<br />" + d.Estimated_Population + " million people in " + formatYear(d.Population_Year);
+	//Close the form for editing an empire, if it is open
+	function closeEditor() {
+		if (editor)
+			editor.remove();
+		editor = null;
+	}
+
+	//***
+	//###Import a File
+	//Replace the data with `rows` from an imported file, whose columns are given by the field mapping `mapping`
+	function importRows(rows, mapping) {
+		closeImportDialog();
+		fields = mapping;
+		if (drawn) {
+			setZoomWindow(null);
+			saveState(false);
+		}
+		chart.data(rows);
+	}
+
+	//Open the dialog for importing a file, with the `title` given (or empty it, if it is open already)
+	function openImportDialog(title) {
+		if (importDialog == null)
+			importDialog = $("<form class='importDialog' role='dialog'></form>").appendTo("body").bind("keydown", function(e) {
+				if (e.keyCode == 27)
+					closeImportDialog();
+			});
+		importDialog.empty().attr("aria-label", title).show();
+		$("<span class='title'></span>").text(title).appendTo(importDialog);
+	}
+
+	//Close the dialog for importing a file, if it is open
+	function closeImportDialog() {
+		if (importDialog)
+			importDialog.remove();
+		importDialog = null;
+	}
+
+	//Say in the import dialog that a file couldn't be loaded (or read, or parsed): `title` says which file, and `error` what went wrong
+	function showLoadError(title, error) {
+		openImportDialog(title);
+		$("<p></p>").text(String(error && error.message || error)).appendTo(importDialog);
+		$("<button type='button'>Close</button>").click(closeImportDialog).appendTo(importDialog);
+	}
+
+	//Ask which of the `columns` of the file `name` holds each of the fields, with a list of the columns for each one (starting at the guess from
+	//`empires.data.guess`), then import its `rows` with that mapping. The `empires.data.required` fields must have a column;
+	//the others can be left without one (and are then missing in every row)
+	function askMapping(name, rows, columns) {
+		var guess = empires.data.guess(columns, options.fields);
+		var mapping = empires.data.mapping(options.fields);
+		openImportDialog("The columns of " + name);
+		$("<p>Which column holds each of these?</p>").appendTo(importDialog);
+		d3.keys(mapping).forEach(function(field) {
+			var required = empires.data.required.indexOf(field) >= 0;
+			var label = $("<label></label>").text(field + (required ? " *" : "") + " (" + mapping[field] + ")").appendTo(importDialog);
+			var select = $("<select></select>").attr("name", field).appendTo(label);
+			$("<option value=''>(none)</option>").appendTo(select);
+			columns.forEach(function(column) {
+				$("<option></option>").attr("value", column).text(column).appendTo(select);
+			});
+			select.val(guess[field] || "");
+		});
+		var problems = $("<ul class='editorIssues'></ul>").appendTo(importDialog);
+		$("<button type='submit'>Import</button>").appendTo(importDialog);
+		$("<button type='button'>Cancel</button>").click(closeImportDialog).appendTo(importDialog);
+
+		importDialog.bind("submit", function() {
+			var chosen = {};
+			d3.keys(mapping).forEach(function(field) {
+				chosen[field] = importDialog.find("select[name='" + field + "']").val() || null;
+			});
+			var missing = empires.data.required.filter(function(field) {
+				return chosen[field] == null;
+			});
+			if (missing.length) {
+				problems.empty();
+				$("<li class='error'></li>").text("Pick a column for " + missing.join(", ")).appendTo(problems);
+			}
+			else
+				importRows(rows, empires.data.mapping(chosen));
+			return false;
+		});
+		importDialog.find("select").first().focus();
+	}
+
+	//Add a change made with `chart.edit` to `edits`; there is only one for each value changed, going from the value in the file
+	//to the latest one (and none at all, once it is changed back)
+	function addEdit(edit) {
+		var earlier = edits.filter(function(e) {
+			return e.name == edit.name && e.column == edit.column;
+		})[0];
+		if (earlier == null)
+			edits.push(edit);
+		else if (earlier.from === edit.to || (empires.data.isMissing(earlier.from) && empires.data.isMissing(edit.to)))
+			edits.splice(edits.indexOf(earlier), 1);
 		else
-			info += "<br />" + "no population data available";
-		if (!isNaN(d.Percent_World_Population))
-			info += "<br />" + "(" + Math.round(d.Percent_World_Population * 100) + "% of world population)";
-		if (d.Contiguous === false)
-			info += "<br />" + "non-contiguous";
-
-		//Determine where the InfoBox will be going on the screen;
-		//if the bar clicked is in the top half, use the [mouse coordinates] where the user clicked,
-		//otherwise shift back to the left and up a little big (in case the box is near the bottom of the screen)
-		var infoPos;
-		if (i <= data.length / 2)
-			infoPos = {
-				left : e.pageX,
-				top : e.pageY
+			earlier.to = edit.to;
+	}
+
+	//***
+	//###Show the Empires Around in a Year
+	//Move the year cursor (the mouse line, and the year above it) to `year`, and list the empires around in that year in the `yearPanel`,
+	//biggest first, with their approximate size then (see `empires.data.sizeAt`) and the total; or hide them all if `year` is null,
+	//or outside of the range of years shown.
+	//
+	//In the "timeline" display the size is the area, and every empire that is around is listed (even right at its start, when it has no size yet);
+	//in the "stream" display the size is the same as the layers', and only the empires that make up part of the stream at that year are listed
+	function showYear(year) {
+		var domain = scales.years.domain();
+		var line = vis.select("line.mouseLine"), label = vis.select("text.mouseYear");
+		if (year == null || year < domain[0] || year > domain[1]) {
+			line.style("display", "none");
+			label.style("display", "none");
+			if (yearPanel)
+				yearPanel.hide();
+			return;
+		}
+		year = Math.round(year);
+		if (yearPanel == null)
+			yearPanel = $("<div class='yearInfo'></div>").appendTo("body");
+
+		var x = scales.years(year);
+		line.style("display", null)
+			.attr("x1", x)
+			.attr("x2", x)
+			.attr("y1", padding.top)
+			.attr("y2", hei - padding.bottom);
+		label.style("display", null)
+			.attr("x", x)
+			.attr("y", padding.top - 6)
+			.text(empires.formatYear(year, domain[0] < 0));
+
+		var stream = controls.display == "stream";
+		var population = stream && controls.height == "population";
+		var format = population ? d3.format(".1%") : function(size) {
+			return d3.format(",.1f")(size) + " " + options.units.area;
+		};
+		var around = data.filter(function(d) {
+			if (stream)
+				return !isCollapsed(d);
+			return !isHidden(d) && year >= d[fields.start] && year <= d[fields.end];
+		}).map(function(d) {
+			return {
+				row : d,
+				size : (stream ? streamSize(d) : d[fields.area] || 0) * empires.data.sizeAt(d, fields, year)
 			};
+		}).filter(function(a) {
+			return !stream || a.size > 0;
+		}).sort(function(a, b) {
+			return b.size - a.size;
+		});
+
+		var list = $("<ul></ul>");
+		around.forEach(function(a) {
+			$("<li></li>").text(a.row[fields.name] + ": " + (population ? "" : "~") + format(a.size)).appendTo(list);
+		});
+		var total = d3.sum(around, function(a) {
+			return a.size;
+		});
+		yearPanel.empty()
+			.append($("<span class='title'></span>").text(empires.formatYear(year, true)))
+			.append(document.createTextNode(" \u2014 " + plural(around.length, "empire") + ", " + format(total) + (population ? " of the world population" : "") + " in all"))
+			.append(list);
+
+		//The panel goes on whichever side of the line has more room
+		var offset = $(vis.node()).offset();
+		yearPanel.css({
+			left : x > wid / 2 ? offset.left + x - yearPanel.outerWidth() - 10 : offset.left + x + 10,
+			top : offset.top + padding.top
+		}).show();
+	}
+
+	//Whether the current display has a year cursor
+	function hasYearCursor() {
+		return controls.display == "timeline" || controls.display == "stream";
+	}
+
+	//***
+	//###Touch Gestures
+	//On tablets (and with pens), the chart is worked with [pointer events](http://www.w3.org/TR/pointerevents/) rather than
+	//clicks and the zoom behavior's touch events:
+	//
+	//* a tap on a bar shows its InfoBox, and a tap anywhere else hides it
+	//* pinching with two fingers zooms the time axis in the "timeline" display (moving them both pans it)
+	//* a quick swipe left or right with one finger switches to the next or previous of the `displays`
+	//
+	//Mouse pointers are left to the click events and the zoom behavior. Of the browser's own touch gestures, only scrolling up and down
+	//is left on over the chart (so that the rest of the page can still be scrolled to); zooming the page and scrolling sideways would
+	//get in the way of the pinches and swipes
+	function addTouchEvents() {
+		vis.style("touch-action", "pan-y")
+			.on("pointerdown.touch", function() {
+				var e = d3.event;
+				if (e.pointerType == "mouse")
+					return;
+				pointers[e.pointerId] = {
+					x : e.clientX,
+					y : e.clientY,
+					startX : e.clientX,
+					startY : e.clientY,
+					time : new Date().getTime()
+				};
+				startPinch();
+			})
+			.on("pointermove.touch", function() {
+				var e = d3.event, pointer = pointers[e.pointerId];
+				if (pointer == null)
+					return;
+				pointer.x = e.clientX;
+				pointer.y = e.clientY;
+				if (pinch)
+					movePinch();
+			})
+			.on("pointerup.touch", function() {
+				var e = d3.event, pointer = pointers[e.pointerId];
+				if (pointer == null)
+					return;
+				delete pointers[e.pointerId];
+				//Once a pinch has started, nothing else happens until all of the fingers are lifted
+				if (pinch) {
+					if (!d3.keys(pointers).length)
+						pinch = null;
+					return;
+				}
+
+				var dx = e.clientX - pointer.startX, dy = e.clientY - pointer.startY;
+				var time = new Date().getTime() - pointer.time;
+				if (Math.abs(dx) < 10 && Math.abs(dy) < 10 && time < 500) {
+					lastTap = new Date().getTime();
+					var bar = $(e.target).closest("g.barGroup")[0];
+					showInfoBox(e, bar ? bar.__data__ : null);
+				}
+				else if (Math.abs(dx) > 60 && Math.abs(dx) > 2 * Math.abs(dy) && time < 600)
+					stepDisplay(dx < 0 ? 1 : -1);
+			})
+			.on("pointercancel.touch", function() {
+				delete pointers[d3.event.pointerId];
+				if (!d3.keys(pointers).length)
+					pinch = null;
+			});
+	}
+
+	//The touch pointers that are down, as an array
+	function touches() {
+		return d3.keys(pointers).map(function(key) {
+			return pointers[key];
+		});
+	}
+
+	//Start pinching when a second finger comes down in the "timeline" display: remember how far apart the fingers are,
+	//and which year is halfway between them
+	function startPinch() {
+		var down = touches();
+		if (down.length != 2 || controls.display != "timeline")
+			return;
+		var left = $(vis.node()).offset().left - window.pageXOffset;
+		var middle = (down[0].x + down[1].x) / 2 - left;
+		pinch = {
+			distance : Math.max(Math.abs(down[0].x - down[1].x), 1),
+			span : scales.years.domain()[1] - scales.years.domain()[0],
+			year : scales.years.invert(middle)
+		};
+	}
+
+	//Zoom the years by how much closer or further apart the fingers have got, keeping the year that was halfway between
+	//them halfway between them
+	function movePinch() {
+		var down = touches();
+		if (down.length != 2)
+			return;
+		var left = $(vis.node()).offset().left - window.pageXOffset;
+		var middle = (down[0].x + down[1].x) / 2 - left;
+		var span = pinch.span * pinch.distance / Math.max(Math.abs(down[0].x - down[1].x), 1);
+		var from = pinch.year - (middle - padding.left) / (wid - padding.left - padding.right) * span;
+		setZoomWindow([from, from + span]);
+		processData();
+		redraw(0);
+		saveStateSoon();
+	}
+
+	//Whether a tap has just been handled, in which case the click the browser makes up for it is ignored
+	function justTapped() {
+		return new Date().getTime() - lastTap < 600;
+	}
+
+	//***
+	//###Keyboard Navigation
+	//The bars can be gone through with the keyboard: the one that was last focused (or else the first one shown) is the one that is
+	//tabbed to, and from there
+	//
+	//* up and down go to the empire above or below (skipping the hidden ones)
+	//* left and right switch to the previous or next of the `displays`
+	//* Enter (or space) shows the InfoBox for the empire, and Escape closes it again
+	var displays = ["aligned", "timeline", "centered", "stream"];
+
+	function barKey(e, d, node) {
+		var i;
+		if (e.keyCode == 38 || e.keyCode == 40) {
+			var shown = data.filter(function(row) {
+				return !isHidden(row);
+			});
+			i = shown.indexOf(d) + (e.keyCode == 38 ? -1 : 1);
+			if (i >= 0 && i < shown.length)
+				focusBar(shown[i]);
+		}
+		else if (e.keyCode == 37 || e.keyCode == 39)
+			stepDisplay(e.keyCode == 37 ? -1 : 1);
+		else if (e.keyCode == 13 || e.keyCode == 32) {
+			showInfoBox(barPoint(node), d);
+		}
 		else
-			infoPos = {
-				left : e.pageX - 200,
-				top : e.pageY - 80
-			};
+			return;
+		e.preventDefault();
+	}
 
-		//1. Shove the `info` html we just built into the `#infobox` div element,
-		//2. Set its position in CSS
-		//3. Then show it, show it, show it...
-		$("#infobox").html(info).css(infoPos).show();
+	//The InfoBox goes where it would if the bar `node` had been clicked near its left end; this is that point, in page coordinates
+	function barPoint(node) {
+		var box = node.getBoundingClientRect();
+		return {
+			pageX : box.left + window.pageXOffset + 10,
+			pageY : box.top + window.pageYOffset + box.height / 2
+		};
 	}
 
-}
+	//Switch to the previous (`step` of -1) or next (1) of the `displays`
+	function stepDisplay(step) {
+		var i = displays.indexOf(controls.display) + step;
+		chart.control("display", displays[(i + displays.length) % displays.length]);
+	}
 
-//***
+	//Move the keyboard focus to the bar of the empire `d`
+	function focusBar(d) {
+		focused = d;
+		updateTabIndex();
+		var node = vis.selectAll("g.barGroup").filter(function(row) {
+			return row === d;
+		}).node();
+		if (node && node.focus)
+			node.focus();
+	}
 
-//##Set Current View Options
-
-//This sets either controls.display or controls.height; it is called from the initialization routine and from the script in the html itself
-function setControl(elem, con, val, re) {
-	//Remove the CSS "active" class for any sibling elements, by:
-	// 
-	//1. Finding the parent elements that have class ".controlGroup" via [jQuery's parents() function](http://api.jquery.com/parents/)
-	//2. Finding the "a" descendants of the parents via [jQuery's find() function](http://api.jquery.com/find/)
-	//3. Removing the CSS "active" class via [jQuery's removeClass() function](http://api.jquery.com/removeclass/)
-	$(elem).parents(".controlGroup").find("a").removeClass("active");
-	//Make sure the passed in element has its CSS class set to "active", using the [jQuery addClass() function](http://api.jquery.com/addclass/)
-	$(elem).addClass("active");
-	//Set controls.display or controls.height (could be any property, but only "display" and "height" are passed in for "con" in this example)
-	controls[con] = val;
-	//If the caller wants us to redraw now, do so
-	if (re == true)
-		redraw();
-}
+	//Make the bar of the `focused` empire (if it is still shown, or else the first bar that is) the one that can be tabbed to
+	function updateTabIndex() {
+		var target = focused && data.indexOf(focused) >= 0 && !isHidden(focused) ? focused : null;
+		if (target == null)
+			for (var i = 0; i < data.length && target == null; i++)
+				if (!isHidden(data[i]))
+					target = data[i];
+		vis.selectAll("g.barGroup").attr("tabindex", function(d) {
+			return d === target ? 0 : -1;
+		});
+	}
+
+	//The description of an empire for screen readers, e.g. "Roman Empire, 27 BCE to 476 CE, peak in 117 CE, 6.5 million sq km, 36% of world population"
+	function ariaLabel(d) {
+		var label = d[fields.name] + ", " + empires.formatYear(d[fields.start], true) + " to " + empires.formatYear(d[fields.end], true) +
+					", peak in " + empires.formatYear(d[fields.peak], true);
+		if (!isNaN(d[fields.area]))
+			label += ", " + d[fields.area] + " " + options.units.area;
+		if (!hasNoPopulation(d))
+			label += ", " + Math.round(d.derived.popPercent * 100) + "% of world population";
+		if (d[fields.contiguous] === false)
+			label += ", non-contiguous";
+		return label;
+	}
+
+	//###Show the Data Table
+	//Keep a table of the empires that are drawn (in the same order) next to the chart, moved out of sight so that only
+	//screen readers find it, as an alternative to the bars
+	function showDataTable() {
+		if (!options.dataTable)
+			return;
+		if (dataTable == null)
+			dataTable = $("<table class='dataTable'></table>").css({
+				position : "absolute",
+				left : "-10000px",
+				width : "1px",
+				height : "1px",
+				overflow : "hidden"
+			}).appendTo(container);
+
+		var columns = [
+			["Empire", function(d) { return d[fields.name]; }],
+			["Start", function(d) { return empires.formatYear(d[fields.start], true); }],
+			["Peak", function(d) { return empires.formatYear(d[fields.peak], true); }],
+			["End", function(d) { return empires.formatYear(d[fields.end], true); }],
+			["Land area (" + options.units.area + ")", function(d) { return isNaN(d[fields.area]) ? "unknown" : d[fields.area]; }],
+			["Population (" + options.units.population + ")", function(d) { return isNaN(d[fields.population]) ? "unknown" : d[fields.population]; }],
+			["Share of world population", function(d) { return hasNoPopulation(d) ? "unknown" : Math.round(d.derived.popPercent * 100) + "%"; }],
+			["Contiguous", function(d) { return d[fields.contiguous] === false ? "no" : "yes"; }]
+		];
+
+		var head = $("<tr></tr>");
+		columns.forEach(function(column) {
+			$("<th scope='col'></th>").text(column[0]).appendTo(head);
+		});
+		dataTable.empty()
+			.append($("<caption></caption>").text(plural(data.length, "empire") + ", in the order they are drawn"))
+			.append($("<thead></thead>").append(head));
+		var body = $("<tbody></tbody>").appendTo(dataTable);
+		data.forEach(function(d) {
+			var row = $("<tr></tr>").appendTo(body);
+			columns.forEach(function(column) {
+				$("<td></td>").text(String(column[1](d))).appendTo(row);
+			});
+		});
+	}
+
+	//***
+
+	//###Show Data Issues
+	//List the issues from `validation` in the issues panel (if there is one): a link summarizing the number of errors and
+	//warnings, which shows or hides the full list when clicked. The panel is hidden if the data has no issues at all.
+	function showIssues() {
+		if (!options.issues)
+			return;
+		if (issuesPanel == null)
+			issuesPanel = options.issues === true ? $("<div class='issues'></div>").appendTo(container) : $(options.issues);
+
+		issuesPanel.find(".issuesToggle").unbind(".empires" + id);
+		issuesPanel.empty();
+		if (!validation.issues.length) {
+			issuesPanel.hide();
+			return;
+		}
+
+		var summary = plural(validation.errors.length, "error") + " and " + plural(validation.warnings.length, "warning") + " in the data";
+		if (options.strict && validation.invalid.length)
+			summary += " (" + plural(validation.invalid.length, "row") + " not shown)";
+
+		var list = $("<ul></ul>").hide();
+		validation.issues.forEach(function(issue) {
+			$("<li></li>").addClass(issue.level)
+				.append($("<span class='title'></span>").text(issue.name))
+				.append(document.createTextNode(" (" + issue.level + "): " + issue.message))
+				.appendTo(list);
+		});
+
+		$("<a class='issuesToggle'></a>").text(summary)
+			.bind("click.empires" + id, function() {
+				list.toggle();
+				return false;
+			})
+			.appendTo(issuesPanel);
+		issuesPanel.append(list).show();
+	}
+
+	//***
+
+	//###Set Current View Options
+
+	//Each link in the `controls` element names the option it sets and the value to set it to, e.g.
+	//>    `<a data-control="display" data-value="timeline">Timeline</a>`
+	function bindControls() {
+		if (!options.controls)
+			return;
+		$(options.controls).find("a[data-control]").bind("click.empires" + id, function() {
+			setControl(this, $(this).attr("data-control"), $(this).attr("data-value"), true);
+			saveState(true);
+			return false;
+		});
+		zoomResetLinks().bind("click.empires" + id, function() {
+			chart.zoom(null);
+			return false;
+		});
+		//The file inputs that import a file, e.g.
+		//>    `<input type="file" data-action="import">`
+		$(options.controls).find("input[data-action='import']").bind("change.empires" + id, function() {
+			if (this.files && this.files.length)
+				chart.import(this.files[0]);
+			//(so that picking the same file again imports it again)
+			$(this).val("");
+		});
+		//The links that save the chart to a file, e.g.
+		//>    `<a data-action="export" data-format="png" data-scale="2">PNG</a>`
+		$(options.controls).find("a[data-action='export']").bind("click.empires" + id, function() {
+			chart.download($(this).attr("data-format"), +$(this).attr("data-scale") || null);
+			return false;
+		});
+
+		//The filter panel has links for the filters with a few choices, e.g.
+		//>    `<a data-filter="contiguity" data-value="contiguous">Contiguous</a>`
+		//
+		//and inputs for the numeric ones (left empty for no limit), e.g.
+		//>    `<input data-filter="minArea">`
+		var panel = $(options.controls);
+
+		//The option links don't have an `href`, so they are made focusable here, and work with the Enter and space keys like buttons do
+		panel.find("a[data-control], a[data-action], a[data-filter]").each(function() {
+			if (!$(this).attr("href"))
+				$(this).attr("tabindex", 0).attr("role", "button");
+			if ($(this).attr("data-control"))
+				$(this).attr("aria-pressed", $(this).hasClass("active") ? "true" : "false");
+		}).bind("keydown.empires" + id, function(e) {
+			if (e.keyCode == 13 || e.keyCode == 32) {
+				$(this).click();
+				return false;
+			}
+		});
+
+		panel.find("a[data-filter]").bind("click.empires" + id, function() {
+			chart.filter($(this).attr("data-filter"), $(this).attr("data-value"));
+			return false;
+		});
+		panel.find("input[data-filter]").bind("change.empires" + id, function() {
+			var value = $.trim($(this).val());
+			chart.filter($(this).attr("data-filter"), value == "" || isNaN(+value) ? null : +value);
+		});
+		showFilters();
+	}
+
+	//Make the filter panel show the current `filters`: the matching links are "active", and the inputs hold the current limits
+	function showFilters() {
+		if (!options.controls)
+			return;
+		var panel = $(options.controls);
+		panel.find("a[data-filter]").each(function() {
+			var link = $(this);
+			if (String(filters[link.attr("data-filter")]) == link.attr("data-value"))
+				link.addClass("active").attr("aria-pressed", "true");
+			else
+				link.removeClass("active").attr("aria-pressed", "false");
+		});
+		panel.find("input[data-filter]").each(function() {
+			var value = filters[$(this).attr("data-filter")];
+			$(this).val(value == null ? "" : value);
+		});
+	}
+
+	//The links in the `controls` element that zoom back out, e.g.
+	//>    `<a data-action="reset-zoom">Reset Zoom</a>`
+	function zoomResetLinks() {
+		if (!options.controls)
+			return $([]);
+		return $(options.controls).find("a[data-action='reset-zoom']");
+	}
+
+	//Find the link in the `controls` element for a given option setting (an empty jQuery object if there isn't one)
+	function findControlLink(con, val) {
+		if (!options.controls)
+			return $([]);
+		return $(options.controls).find("a[data-control='" + con + "'][data-value='" + val + "']");
+	}
+
+	//This sets either controls.display or controls.height; it is called from the initialization routine and when
+	//one of the control links is clicked
+	function setControl(elem, con, val, re) {
+		//Remove the CSS "active" class for any sibling elements, by:
+		//
+		//1. Finding the parent elements that have class ".controlGroup" via [jQuery's parents() function](http://api.jquery.com/parents/)
+		//2. Finding the "a" descendants of the parents via [jQuery's find() function](http://api.jquery.com/find/)
+		//3. Removing the CSS "active" class via [jQuery's removeClass() function](http://api.jquery.com/removeclass/)
+		$(elem).parents(".controlGroup").find("a").removeClass("active").attr("aria-pressed", "false");
+		//Make sure the passed in element has its CSS class set to "active", using the [jQuery addClass() function](http://api.jquery.com/addclass/)
+		//(and tell screen readers it is the one that is on)
+		$(elem).addClass("active").attr("aria-pressed", "true");
+		//Set controls.display or controls.height (could be any property, but only "display" and "height" are passed in for "con" in this example)
+		controls[con] = val;
+		//If the caller wants us to redraw now, do so (recalculating first, as some settings, like `controls.missing`, change the scales)
+		if (re == true && drawn) {
+			processData();
+			redraw();
+		}
+	}
+
+	//"1 error", "2 errors", ...
+	function plural(n, word) {
+		return n + " " + word + (n == 1 ? "" : "s");
+	}
+
+	//A `width`/`height` option can be a number or a function returning one; fall back to `fallback` if neither is given
+	function sizeOption(option, fallback) {
+		if (typeof option == "function")
+			return option();
+		if (option != null)
+			return option;
+		return fallback;
+	}
+
+	//###Load the Data
+	//Done last, once all of the methods above are in place
+	if (options.samples)
+		chart.samples(options.samples);
+	if (options.url)
+		chart.load(options.url);
+
+	return chart;
+};
+
+//The number of charts created so far
+empires.chart.count = 0;
+
+//***
+//##URL Hash Helpers
+
+//The url's hash, as an object: `#years=1000,1500&display=timeline` gives `{years: "1000,1500", display: "timeline"}`
+empires.readHash = function() {
+	var values = {};
+	window.location.hash.replace(/^#/, "").split("&").forEach(function(pair) {
+		var i = pair.indexOf("=");
+		if (i > 0)
+			values[decodeURIComponent(pair.substring(0, i))] = decodeURIComponent(pair.substring(i + 1));
+	});
+	return values;
+};
+
+//Change some of the values in the url's hash, leaving the others alone (a `null` value removes that key). If `push` is true this adds
+//a new entry to the browser's history, otherwise it replaces the current one (as is best for every little change, e.g. while dragging the brush);
+//nothing is added if the hash stays the same
+empires.writeHash = function(changes, push) {
+	var values = $.extend(empires.readHash(), changes);
+	var hash = d3.keys(values).filter(function(key) {
+		return values[key] != null;
+	}).map(function(key) {
+		//(commas are left as they are, to keep lists like `years=1000,1500` readable)
+		return encodeURIComponent(key) + "=" + encodeURIComponent(values[key]).replace(/%2C/g, ",");
+	}).join("&");
+
+	if (hash == window.location.hash.replace(/^#/, ""))
+		return;
+	if (window.history && window.history.replaceState)
+		window.history[push ? "pushState" : "replaceState"](null, "", "#" + hash);
+	else
+		window.location.hash = hash;
+};
 
 //***
+//##Export Helpers
+
+//The style properties that are written into each element of an exported svg (see `empires.svgMarkup`)
+empires.exportStyles = ["fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray", "opacity",
+	"font-family", "font-size", "font-weight", "text-anchor", "shape-rendering"];
+
+//The markup of a standalone svg file for the svg element `node`. The chart is styled by the page's stylesheet, which doesn't go with it,
+//so a copy is made with the computed value of each of the `empires.exportStyles` written into the `style` of each of its elements
+//(the elements that aren't displayed are left out of it)
+empires.svgMarkup = function(node) {
+	var copy = node.cloneNode(true);
+
+	//The copy has the same structure as `node`, so the two can be walked side by side
+	(function inline(source, target) {
+		var style = window.getComputedStyle(source);
+		if (style.getPropertyValue("display") == "none") {
+			target.parentNode.removeChild(target);
+			return;
+		}
+		empires.exportStyles.forEach(function(name) {
+			var value = style.getPropertyValue(name);
+			if (value)
+				target.style.setProperty(name, value, "");
+		});
+		//(walked backwards, as children may be removed along the way)
+		for (var i = source.childNodes.length - 1; i >= 0; i--)
+			if (source.childNodes[i].nodeType == 1)
+				inline(source.childNodes[i], target.childNodes[i]);
+	})(node, copy);
+
+	copy.setAttributeNS("http://www.w3.org/2000/xmlns/", "xmlns", "http://www.w3.org/2000/svg");
+	copy.setAttributeNS("http://www.w3.org/2000/xmlns/", "xmlns:xlink", "http://www.w3.org/1999/xlink");
+	copy.setAttribute("version", "1.1");
+	return "<?xml version=\"1.0\" standalone=\"no\"?>\n" + new XMLSerializer().serializeToString(copy);
+};
+
+//Draw the svg `markup` into a canvas `size` ([width, height]) times `scale` pixels, and call `callback` with the result as a
+//PNG data url (or with `null` if the browser can't draw it)
+empires.rasterize = function(markup, size, scale, callback) {
+	var image = new Image();
+	image.onload = function() {
+		var canvas = document.createElement("canvas");
+		canvas.width = Math.round(size[0] * scale);
+		canvas.height = Math.round(size[1] * scale);
+		var context = canvas.getContext("2d");
+		context.scale(scale, scale);
+		context.drawImage(image, 0, 0, size[0], size[1]);
+		try {
+			callback(canvas.toDataURL("image/png"));
+		}
+		//(some browsers won't let a canvas that has had an svg image drawn into it be read back)
+		catch (e) {
+			callback(null);
+		}
+	};
+	image.onerror = function() {
+		callback(null);
+	};
+	image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(markup);
+};
+
+//Save a file called `name`: `content` is either a url (e.g. a data url) if `type` isn't given, or else the text of the file,
+//of the [media type](http://www.iana.org/assignments/media-types) `type`
+empires.download = function(name, content, type) {
+	var url = content, blob = null;
+	if (type) {
+		if (window.Blob && window.URL && window.URL.createObjectURL) {
+			blob = new Blob([content], {type : type});
+			url = window.URL.createObjectURL(blob);
+		}
+		else
+			url = "data:" + type + ";charset=utf-8," + encodeURIComponent(content);
+	}
+
+	var link = $("<a></a>").attr("href", url).attr("download", name).css("display", "none").appendTo("body");
+	link[0].click();
+	link.remove();
+	if (blob)
+		setTimeout(function() {
+			window.URL.revokeObjectURL(url);
+		}, 1000);
+};
 
-//This function doesn't seem to be called anywhere
-function parseTransform(s) {
-	if (s.substr(0, 10) == "translate(") {
-		s = s.substring(10, s.length - 1);
-		s = s.split(",");
-		var v1 = parseFloat($.trim(s[0]));
-		var v2 = parseFloat($.trim(s[1]));
+//***
+//##Positioning Helper
+
+//Where to put a box of `size` ([width, height]) next to the point `at` ([x, y]), keeping it inside of `view`
+//(`{left, top, width, height}`, e.g. the visible part of the page) and `gap` pixels away from the point and from the edges of `view`.
+//Each way, the box goes after the point (to the right, or below) if it fits there, otherwise before it, and if it fits on neither side,
+//as close to the point as it can get while staying inside; if it is bigger than `view`, it starts at the left (or top) edge.
+//Returns the `{left, top}` of the box
+empires.placeBox = function(size, at, view, gap) {
+	function place(point, length, start, room) {
+		if (point + gap + length <= start + room - gap)
+			return point + gap;
+		if (point - gap - length >= start + gap)
+			return point - gap - length;
+		return Math.max(start + gap, Math.min(point + gap, start + room - gap - length));
 	}
+
 	return {
-		val1 : v1,
-		val2 : v2
+		left : place(at[0], size[0], view.left, view.width),
+		top : place(at[1], size[1], view.top, view.height)
 	};
-}
+};
 
 //***
 //##Date Format Helper
 
-//Helper function to format dates that are BCE
-function formatYear(y) {
+//Helper function to format dates that are BCE; if `era` is true, the other years get "CE" after them
+//(which helps on an axis that goes from one to the other)
+empires.formatYear = function(y, era) {
 	if (y <= 0)
 		return y * -1 + " BCE";
+	else if (era)
+		return y + " CE";
 	else
 		return y;
-}
-
+};